@@ -0,0 +1,74 @@
+// ======== Throttled Broadcast ========
+// Sends one announcement to many chats while staying under Telegram's bot
+// limits (~30 messages/second overall). A 429 pauses for its retry_after and
+// retries the same chat; chats that blocked the bot (403) are counted, not retried.
+
+import { logger } from '../utils/logger.js';
+
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+const sleepFor = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {object} options
+ * @param {(chatId: string|number, text: string) => Promise<any>} options.sendMessage
+ * @param {number} [options.ratePerSecond=25]
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ */
+export function createBroadcaster({ sendMessage, ratePerSecond = 25, sleep = sleepFor }) {
+  const intervalMs = Math.ceil(1000 / Math.max(1, ratePerSecond));
+  let running = false;
+
+  async function sendOne(chatId, text) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await sendMessage(chatId, text);
+        return 'sent';
+      } catch (error) {
+        const retryAfter = error.parameters?.retry_after;
+        if (error.code === 429 && retryAfter && attempt < MAX_RATE_LIMIT_RETRIES) {
+          logger.warn(`⚠️  Broadcast rate limited - pausing ${retryAfter}s`);
+          await sleep(retryAfter * 1000);
+          continue;
+        }
+        if (error.code === 403) {
+          return 'blocked';
+        }
+        logger.error(`❌ Broadcast to ${chatId} failed`, error);
+        return 'failed';
+      }
+    }
+  }
+
+  return {
+    isRunning() {
+      return running;
+    },
+
+    /**
+     * @param {Array<string|number>} chatIds
+     * @param {string} text
+     * @param {{onProgress?: (counts: object) => void}} [options]
+     * @returns {Promise<{total: number, sent: number, blocked: number, failed: number}>}
+     */
+    async run(chatIds, text, { onProgress } = {}) {
+      if (running) {
+        throw new Error('A broadcast is already running');
+      }
+      running = true;
+      const counts = { total: chatIds.length, sent: 0, blocked: 0, failed: 0 };
+      try {
+        for (const [index, chatId] of chatIds.entries()) {
+          const startedAt = Date.now();
+          counts[await sendOne(chatId, text)]++;
+          onProgress?.({ ...counts, done: index + 1 });
+          const wait = intervalMs - (Date.now() - startedAt);
+          if (wait > 0 && index < chatIds.length - 1) await sleep(wait);
+        }
+        return counts;
+      } finally {
+        running = false;
+      }
+    },
+  };
+}
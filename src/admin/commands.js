@@ -0,0 +1,211 @@
+// ======== Admin Commands ========
+// Operating the bot from Telegram. Every command here answers only to the
+// Telegram IDs in ADMIN_IDS; everyone else gets "admin only".
+
+import { paginate } from '../utils/pagination.js';
+import { getAutoCheckInSettings } from '../scheduler/autoCheckIn.js';
+import { getReminderSettings } from '../scheduler/reminders.js';
+import { CIRCUIT_STATES } from '../utils/circuitBreaker.js';
+import { describeConfig } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+const SESSIONS_PER_PAGE = 20;
+
+function commandArgs(ctx) {
+  return ctx.message.text.replace(/^\/\w+(@\w+)?\s*/, '');
+}
+
+/**
+ * @param {import('telegraf').Telegraf} bot
+ * @param {object} deps
+ * @param {(telegramUserId: number) => boolean} deps.isAdmin
+ * @param {object} deps.config - loadConfig() result
+ * @param {object} deps.sessions - createSessionRepository() result
+ * @param {object} deps.checkInStats - createCheckInStats() result
+ * @param {object} deps.catalogueCache - createTtlCache() result
+ * @param {string[]} deps.cacheTargets - Key prefixes /flushcache accepts
+ * @param {object|null} deps.breaker - PactSwap client circuit breaker
+ * @param {object} deps.broadcaster - createBroadcaster() result
+ * @param {() => Promise<object|null>} deps.refreshAuthToken
+ * @param {(pactswapUserId: string) => object} deps.getAutoCheckInJob - Auto check-in job state of a PactSwap account
+ * @param {(session: object) => boolean} deps.hasCredentials - PactSwap credentials held for the session
+ */
+export function registerAdminCommands(bot, {
+  isAdmin,
+  config,
+  sessions,
+  checkInStats,
+  catalogueCache,
+  cacheTargets,
+  breaker,
+  broadcaster,
+  refreshAuthToken,
+  getAutoCheckInJob,
+  hasCredentials,
+}) {
+  function adminCommand(name, handler) {
+    bot.command(name, async (ctx) => {
+      if (!isAdmin(ctx.from.id)) {
+        return ctx.reply(ctx.t('common.admin_only'));
+      }
+      logger.info(`🛠️ /${name} by admin ${ctx.from.id}`);
+      return handler(ctx, commandArgs(ctx));
+    });
+  }
+
+  function describeKind(ctx, session) {
+    return ctx.t(session.linked ? 'admin.session_linked' : 'admin.session_shared');
+  }
+
+  // /admin - List admin commands
+  adminCommand('admin', async (ctx) => {
+    await ctx.reply(ctx.t('admin.help'));
+  });
+
+  // /stats - Users, check-ins today / last 7 days, failure rate
+  adminCommand('stats', async (ctx) => {
+    const activeSessions = sessions.listSessions();
+    const settings = sessions.listSettings().map(([, userSettings]) => userSettings);
+    const { today, week, failureRate } = checkInStats.summary();
+    const cache = catalogueCache.stats();
+    const openCircuits = (breaker?.snapshot() || []).filter(({ state }) => state !== CIRCUIT_STATES.CLOSED);
+
+    await ctx.reply(ctx.t('admin.stats', {
+      users: sessions.listKnownUserIds().length,
+      sessions: activeSessions.length,
+      linked: activeSessions.filter(([, session]) => session.linked).length,
+      autoCheckIn: settings.filter(userSettings => getAutoCheckInSettings(userSettings).enabled).length,
+      reminders: settings.filter(userSettings => getReminderSettings(userSettings).enabled).length,
+      todaySuccess: today.success,
+      todayConflict: today.conflict,
+      todayFailed: today.failed,
+      weekSuccess: week.success,
+      weekConflict: week.conflict,
+      weekFailed: week.failed,
+      failureRate: (failureRate * 100).toFixed(1),
+      openCircuits: openCircuits.length > 0 ? openCircuits.map(({ key }) => key).join(', ') : '0',
+      cacheSize: cache.size,
+      cacheHits: cache.hits,
+      cacheMisses: cache.misses,
+    }));
+  });
+
+  // /sessions [page] - Active sessions, newest first
+  adminCommand('sessions', async (ctx, args) => {
+    const all = sessions.listSessions()
+      .sort(([, a], [, b]) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+    const { items, page, totalPages } = paginate(all, Math.max(Number(args) || 1, 1) - 1, SESSIONS_PER_PAGE);
+
+    const list = items.length > 0
+      ? items.map(([telegramUserId, session]) => ctx.t('admin.session_line', {
+        telegramId: telegramUserId,
+        wallet: (session.walletAddress || '-').substring(0, 10),
+        kind: describeKind(ctx, session),
+        updatedAt: session.updatedAt ? new Date(session.updatedAt) : '-',
+      })).join('\n')
+      : ctx.t('admin.sessions_empty');
+
+    await ctx.reply(ctx.t('admin.sessions', { page: page + 1, totalPages, total: all.length, list }));
+  });
+
+  // /session <telegramId> - One user's session, settings and auto check-in job
+  adminCommand('session', async (ctx, args) => {
+    const telegramUserId = args.split(/\s+/)[0];
+    if (!/^\d+$/.test(telegramUserId)) {
+      return ctx.reply(ctx.t('admin.session_usage'));
+    }
+
+    const session = sessions.getSession(telegramUserId);
+    const identity = sessions.getLinkedIdentity(telegramUserId);
+    const settings = sessions.getSettings(telegramUserId);
+    if (!session && !identity && Object.keys(settings).length === 0) {
+      return ctx.reply(ctx.t('admin.session_not_found', { telegramId: telegramUserId }));
+    }
+
+    const autoCheckIn = getAutoCheckInSettings(settings);
+    const reminders = getReminderSettings(settings);
+    const source = session || identity || {};
+    const job = getAutoCheckInJob(source.pactswapUserId);
+
+    await ctx.reply(ctx.t('admin.session', {
+      telegramId: telegramUserId,
+      pactswapUserId: source.pactswapUserId || '-',
+      wallet: source.walletAddress || '-',
+      kind: session ? describeKind(ctx, session) : ctx.t('admin.session_none'),
+      token: session && hasCredentials(session) ? ctx.t('admin.token_set') : '-',
+      expires: session?.expires ? new Date(session.expires) : '-',
+      updatedAt: session?.updatedAt ? new Date(session.updatedAt) : '-',
+      language: settings.language || settings.languageCode || '-',
+      timeZone: settings.timezone || '-',
+      autoCheckIn: ctx.t(autoCheckIn.enabled ? 'common.enabled' : 'common.disabled'),
+      lastRun: job.lastRunAt ? `${ctx.t.dateTime(job.lastRunAt)} (${job.lastOutcome})` : '-',
+      reminders: ctx.t(reminders.enabled ? 'common.enabled' : 'common.disabled'),
+    }));
+  });
+
+  // /refreshauth - New PactSwap sign-in; shared sessions pick it up on next use
+  adminCommand('refreshauth', async (ctx) => {
+    const token = await refreshAuthToken();
+    if (!token) {
+      return ctx.reply(ctx.t('admin.refresh_failed'));
+    }
+
+    let dropped = 0;
+    for (const [telegramUserId, session] of sessions.listSessions()) {
+      if (!session.linked) {
+        sessions.deleteSession(telegramUserId);
+        dropped++;
+      }
+    }
+    await ctx.reply(ctx.t('admin.refresh_ok', {
+      expires: token.expires ? new Date(token.expires) : '-',
+      dropped,
+    }));
+  });
+
+  // /flushcache [currencies|ruleGroups|specialRules]
+  adminCommand('flushcache', async (ctx, args) => {
+    const target = args.split(/\s+/)[0] || null;
+    if (target && !cacheTargets.includes(target)) {
+      return ctx.reply(ctx.t('cache.usage', { targets: cacheTargets.join('|') }));
+    }
+
+    const before = catalogueCache.stats();
+    const removed = catalogueCache.flush(target);
+    logger.info(`🧹 Cache flush (${target || 'all'}) by admin ${ctx.from.id}: ${removed} entries`);
+    await ctx.reply(ctx.t('cache.flushed', {
+      target: target || ctx.t('cache.all'),
+      count: removed,
+      hits: before.hits,
+      stale: before.stale,
+      misses: before.misses,
+      errors: before.errors,
+    }));
+  });
+
+  // /config - Effective configuration, secrets masked
+  adminCommand('config', async (ctx) => {
+    await ctx.reply(ctx.t('admin.config', { config: describeConfig(config) }));
+  });
+
+  // /broadcast <message> - Runs in the background; the admin gets a summary
+  adminCommand('broadcast', async (ctx, text) => {
+    if (!text.trim()) {
+      return ctx.reply(ctx.t('admin.broadcast_usage'));
+    }
+    if (broadcaster.isRunning()) {
+      return ctx.reply(ctx.t('admin.broadcast_running'));
+    }
+
+    const recipients = sessions.listKnownUserIds();
+    await ctx.reply(ctx.t('admin.broadcast_started', { count: recipients.length }));
+
+    const t = ctx.t;
+    broadcaster.run(recipients, text)
+      .then(counts => {
+        logger.info(`📣 Broadcast by admin ${ctx.from.id}: ${counts.sent}/${counts.total} sent`);
+        return ctx.reply(t('admin.broadcast_done', counts));
+      })
+      .catch(error => logger.error('❌ Broadcast failed', error));
+  });
+}
@@ -0,0 +1,211 @@
+// ======== PactSwap Sign-In With Ethereum Session ========
+// nonce → sign EIP-4361 message with the bot wallet → exchange for a
+// session cookie/token. Consumers (PactSwapClient) add getAuthHeaders() to
+// every request and call invalidate() on 401 to force a re-login.
+// Users who link their own wallet go through the same exchange; their
+// sessions are served by createSessionAuth().
+
+import { buildSiweMessage } from './siwe.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_PATHS = {
+  nonce: '/auth/nonce',
+  verify: '/auth/verify',
+  session: '/auth/session',
+};
+
+export class AuthError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'AuthError';
+    this.cause = cause;
+  }
+}
+
+// Turns Set-Cookie headers into a Cookie header value plus the earliest expiry
+export function parseSetCookie(setCookieHeaders = []) {
+  const headers = Array.isArray(setCookieHeaders) ? setCookieHeaders : [setCookieHeaders];
+  const pairs = [];
+  let expiresAt = null;
+
+  headers.filter(Boolean).forEach(header => {
+    const [pair, ...attributes] = header.split(';').map(part => part.trim());
+    pairs.push(pair);
+
+    attributes.forEach(attribute => {
+      const [name, value] = attribute.split('=');
+      let cookieExpiry = null;
+      if (name.toLowerCase() === 'max-age') {
+        cookieExpiry = Date.now() + Number(value) * 1000;
+      } else if (name.toLowerCase() === 'expires') {
+        cookieExpiry = new Date(value).getTime();
+      }
+      if (Number.isFinite(cookieExpiry) && (expiresAt === null || cookieExpiry < expiresAt)) {
+        expiresAt = cookieExpiry;
+      }
+    });
+  });
+
+  return {
+    cookie: pairs.length > 0 ? pairs.join('; ') : null,
+    expires: expiresAt ? new Date(expiresAt).toISOString() : null,
+  };
+}
+
+// Cookie / Bearer headers for a set of credentials
+export function authHeadersFor(credentials) {
+  const headers = {};
+  if (credentials?.cookie) {
+    headers.Cookie = credentials.cookie;
+  }
+  if (credentials?.sessionToken) {
+    headers.Authorization = `Bearer ${credentials.sessionToken}`;
+  }
+  return headers;
+}
+
+export function isUnexpired(credentials) {
+  if (!credentials) return false;
+  if (!credentials.expires) return true;
+  return new Date(credentials.expires).getTime() > Date.now();
+}
+
+/**
+ * PactSwap's own SIWE exchange, split in two so the signature can come from
+ * any wallet: the bot's (createPactSwapAuth) or a user's (/link + /verify).
+ * @returns {{
+ *   prepare: (address: string, options?: {expirationTime?: string}) => Promise<string>,
+ *   exchange: (message: string, signature: string) => Promise<object>,
+ * }}
+ */
+export function createSiweLogin({ client, domain, uri, chainId = 1, paths = {} }) {
+  const endpoints = { ...DEFAULT_PATHS, ...paths };
+
+  // Login message around a fresh PactSwap nonce
+  async function prepare(address, { expirationTime } = {}) {
+    const nonceResponse = await client.get(endpoints.nonce);
+    const nonce = nonceResponse.data?.nonce || nonceResponse.data?.data?.nonce || nonceResponse.data;
+    if (typeof nonce !== 'string' || nonce.length === 0) {
+      throw new AuthError('Nonce missing from response');
+    }
+    return buildSiweMessage({
+      domain,
+      address,
+      statement: 'Sign in to PactSwap.',
+      uri,
+      chainId,
+      nonce,
+      expirationTime,
+    });
+  }
+
+  // Signed message → {cookie, sessionToken, expires, user}. HTTP errors are
+  // thrown as they come (axios), so callers can tell a rejection from an outage.
+  async function exchange(message, signature) {
+    const verifyResponse = await client.post(endpoints.verify, { message, signature });
+    const body = verifyResponse.data?.data || verifyResponse.data || {};
+    const fromCookie = parseSetCookie(verifyResponse.headers?.['set-cookie']);
+    const sessionToken = body.token || body.sessionToken || body.accessToken || null;
+
+    if (!fromCookie.cookie && !sessionToken) {
+      throw new AuthError('Login response carried neither cookie nor token');
+    }
+
+    const credentials = {
+      cookie: fromCookie.cookie,
+      sessionToken,
+      expires: body.expires || body.expiresAt || fromCookie.expires,
+      user: body.user || null,
+    };
+
+    // Ask the server who we are and when the session ends
+    try {
+      const sessionResponse = await client.get(endpoints.session, { headers: authHeadersFor(credentials) });
+      const session = sessionResponse.data?.data || sessionResponse.data || {};
+      credentials.user = session.user || credentials.user;
+      credentials.expires = session.expires || credentials.expires;
+    } catch (error) {
+      logger.warn(`⚠️  Could not read PactSwap session: ${error.message}`);
+    }
+    return credentials;
+  }
+
+  return { prepare, exchange };
+}
+
+export function createPactSwapAuth({
+  client,
+  getWallet,
+  domain,
+  uri,
+  chainId = 1,
+  paths = {},
+}) {
+  const siwe = createSiweLogin({ client, domain, uri, chainId, paths });
+  let credentials = null; // {cookie, sessionToken, expires, user}
+  let loginPromise = null;
+
+  async function performLogin() {
+    const wallet = getWallet();
+    if (!wallet) {
+      throw new AuthError('Wallet not initialized');
+    }
+
+    try {
+      const message = await siwe.prepare(wallet.address);
+      const signature = await wallet.signMessage(message);
+      credentials = await siwe.exchange(message, signature);
+
+      logger.info('✅ PactSwap login OK', { wallet: wallet.address, expires: credentials.expires || 'unknown' });
+      return credentials;
+    } catch (error) {
+      credentials = null;
+      if (error instanceof AuthError) throw error;
+      throw new AuthError(`PactSwap login failed: ${error.message}`, error);
+    }
+  }
+
+  // Single-flight: concurrent callers share one login round-trip
+  function login() {
+    if (!loginPromise) {
+      loginPromise = performLogin().finally(() => {
+        loginPromise = null;
+      });
+    }
+    return loginPromise;
+  }
+
+  async function getAuthHeaders() {
+    if (!isUnexpired(credentials)) {
+      await login();
+    }
+    return authHeadersFor(credentials);
+  }
+
+  function invalidate() {
+    credentials = null;
+  }
+
+  return {
+    login,
+    getAuthHeaders,
+    getCredentials: () => credentials,
+    invalidate,
+  };
+}
+
+// Auth provider for a session a user created with their own wallet (/link).
+// The bot cannot sign for that wallet, so an expired or rejected session is
+// not renewed here - the user links again.
+export function createSessionAuth({ getCredentials, invalidate }) {
+  return {
+    async getAuthHeaders() {
+      const credentials = getCredentials();
+      if (!isUnexpired(credentials)) {
+        throw new AuthError('Linked PactSwap session expired - /link again');
+      }
+      return authHeadersFor(credentials);
+    },
+    invalidate,
+  };
+}
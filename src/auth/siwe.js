@@ -0,0 +1,52 @@
+// ======== Sign-In With Ethereum (EIP-4361) Messages ========
+// Builds the plain-text message a wallet signs with personal_sign (EIP-191).
+
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+export function generateNonce() {
+  // EIP-4361 requires at least 8 alphanumeric characters
+  return crypto.randomBytes(16).toString('hex');
+}
+
+export function buildSiweMessage({
+  domain,
+  address,
+  statement,
+  uri,
+  version = '1',
+  chainId = 1,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime,
+}) {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    ethers.getAddress(address),
+    '',
+  ];
+  if (statement) {
+    lines.push(statement, '');
+  }
+  lines.push(
+    `URI: ${uri}`,
+    `Version: ${version}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+  );
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+  return lines.join('\n');
+}
+
+// Returns true when `signature` over `message` was produced by `address`
+export function isSignedBy(message, signature, address) {
+  try {
+    const recovered = ethers.verifyMessage(message, signature);
+    return recovered.toLowerCase() === address.toLowerCase();
+  } catch {
+    return false;
+  }
+}
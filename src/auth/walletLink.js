@@ -0,0 +1,101 @@
+// ======== Per-User Wallet Linking ========
+// /link fetches a nonce from PactSwap and hands the user PactSwap's own
+// EIP-4361 login message; the user signs it with their wallet and /verify
+// exchanges the signature at PactSwap for a session of their own. The
+// account is whatever PactSwap signs that wallet in to, so the bot never
+// takes a PactSwap user ID on trust.
+
+import { ethers } from 'ethers';
+import { isSignedBy } from './siwe.js';
+
+const CHALLENGES = 'linkChallenges';
+const CHALLENGE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+export class LinkError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LinkError';
+    this.code = code;
+  }
+}
+
+function statusOf(error) {
+  return error?.response?.status ?? error?.cause?.response?.status ?? null;
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.store
+ * @param {object} options.login - createSiweLogin() result (PactSwap nonce + verify)
+ */
+export function createWalletLinker({ store, login }) {
+  async function createChallenge(telegramUserId, walletAddress) {
+    if (!ethers.isAddress(walletAddress)) {
+      throw new LinkError('INVALID_ADDRESS', `Invalid wallet address: ${walletAddress}`);
+    }
+
+    const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS);
+    const challenge = {
+      walletAddress: ethers.getAddress(walletAddress),
+      message: await login.prepare(walletAddress, { expirationTime: expiresAt.toISOString() }),
+      expiresAt: expiresAt.toISOString(),
+    };
+
+    store.set(CHALLENGES, String(telegramUserId), challenge);
+    return challenge;
+  }
+
+  // Consumes the pending challenge; returns the identity and its PactSwap
+  // credentials. An outage at PactSwap keeps the challenge so /verify can be retried.
+  async function verifyChallenge(telegramUserId, signature) {
+    const challenge = store.get(CHALLENGES, String(telegramUserId));
+    if (!challenge) {
+      throw new LinkError('NO_CHALLENGE', 'No pending link request');
+    }
+    if (new Date(challenge.expiresAt).getTime() <= Date.now()) {
+      store.delete(CHALLENGES, String(telegramUserId));
+      throw new LinkError('EXPIRED', 'Link request expired');
+    }
+    // Checked here first so a wrong signature never reaches PactSwap
+    if (!isSignedBy(challenge.message, signature, challenge.walletAddress)) {
+      throw new LinkError('BAD_SIGNATURE', 'Signature does not match wallet');
+    }
+
+    let credentials;
+    try {
+      credentials = await login.exchange(challenge.message, signature);
+    } catch (error) {
+      const status = statusOf(error);
+      if (status !== null && status >= 400 && status < 500) {
+        store.delete(CHALLENGES, String(telegramUserId));
+        throw new LinkError('REJECTED', `PactSwap rejected the sign-in (HTTP ${status})`);
+      }
+      throw error;
+    }
+    store.delete(CHALLENGES, String(telegramUserId));
+
+    const user = credentials.user;
+    if (!user?.id) {
+      throw new LinkError('UNKNOWN_ACCOUNT', 'PactSwap did not report the signed-in account');
+    }
+    if (user.walletAddress &&
+        (!ethers.isAddress(user.walletAddress) || ethers.getAddress(user.walletAddress) !== challenge.walletAddress)) {
+      throw new LinkError('WALLET_MISMATCH', 'PactSwap signed in a different wallet');
+    }
+
+    return {
+      identity: {
+        walletAddress: challenge.walletAddress,
+        pactswapUserId: user.id,
+        linkedAt: new Date().toISOString(),
+      },
+      credentials: {
+        cookie: credentials.cookie,
+        sessionToken: credentials.sessionToken,
+        expires: credentials.expires,
+      },
+    };
+  }
+
+  return { createChallenge, verifyChallenge };
+}
@@ -0,0 +1,99 @@
+// ======== Multi-Currency Balances ========
+// Balances per loyalty currency computed from every transaction entry with
+// exact decimal arithmetic. Results are cached per user in the store and
+// updated incrementally: only entries newer than the cached newest entry
+// are fetched on the next read.
+
+import { entryCurrencyId } from '../checkin/reward.js';
+import { parseAmount, formatAmount } from '../utils/decimal.js';
+import { logger } from '../utils/logger.js';
+
+const BALANCES = 'balances';
+export const UNKNOWN_CURRENCY = 'unknown';
+
+function applyEntries(balances, entries) {
+  entries.forEach(entry => {
+    const currencyId = entryCurrencyId(entry) || UNKNOWN_CURRENCY;
+    const amount = parseAmount(entry.amount);
+    const current = balances.get(currencyId) || 0n;
+    balances.set(currencyId, entry.direction === 'debit' ? current - amount : current + amount);
+  });
+  return balances;
+}
+
+// `fetchPage(userId, {offset, limit})` must return newest entries first.
+// `onEntries(userId, entries, {complete})` sees every fetched batch (streaks);
+// `complete` is true when the batch is the whole history.
+export function createBalanceService({ store, fetchPage, pageSize = 100, maxPages = 1000, onEntries = null }) {
+  function load(pactswapUserId) {
+    const cached = store.get(BALANCES, pactswapUserId);
+    if (!cached) return null;
+    return {
+      ...cached,
+      balances: new Map(Object.entries(cached.balances).map(([id, value]) => [id, BigInt(value)])),
+    };
+  }
+
+  function save(pactswapUserId, state) {
+    store.set(BALANCES, pactswapUserId, {
+      ...state,
+      balances: Object.fromEntries([...state.balances].map(([id, value]) => [id, value.toString()])),
+    });
+  }
+
+  // Fetches pages until the cached newest entry shows up (or history ends)
+  async function fetchNewEntries(pactswapUserId, newestEntryId) {
+    const fresh = [];
+    for (let page = 0; page < maxPages; page++) {
+      const { items, hasNextPage } = await fetchPage(pactswapUserId, { offset: page * pageSize, limit: pageSize });
+      const boundary = newestEntryId ? items.findIndex(entry => entry.id === newestEntryId) : -1;
+      if (boundary >= 0) {
+        fresh.push(...items.slice(0, boundary));
+        return { entries: fresh, reachedCache: true };
+      }
+      fresh.push(...items);
+      if (!hasNextPage || items.length === 0) break;
+    }
+    return { entries: fresh, reachedCache: false };
+  }
+
+  async function getBalances(pactswapUserId, { refresh = false } = {}) {
+    const cached = refresh ? null : load(pactswapUserId);
+    const { entries, reachedCache } = await fetchNewEntries(pactswapUserId, cached?.newestEntryId);
+
+    // Cached newest entry vanished (or no cache): rebuild from the full walk
+    const incremental = cached && reachedCache;
+    const state = {
+      balances: applyEntries(incremental ? cached.balances : new Map(), entries),
+      entryCount: (incremental ? cached.entryCount : 0) + entries.length,
+      newestEntryId: entries[0]?.id || (incremental ? cached.newestEntryId : null),
+      updatedAt: new Date().toISOString(),
+    };
+    save(pactswapUserId, state);
+    onEntries?.(pactswapUserId, entries, { complete: !incremental });
+
+    if (entries.length > 0) {
+      logger.info(`💰 Balances ${incremental ? 'updated' : 'rebuilt'} for ${pactswapUserId.substring(0, 8)} (+${entries.length} entries)`);
+    }
+    return state;
+  }
+
+  return {
+    getBalances,
+    invalidate(pactswapUserId) {
+      store.delete(BALANCES, pactswapUserId);
+    },
+  };
+}
+
+// One line per currency; currencies without entries show 0
+export function formatBalanceLines(balances, currencies, { other = 'Lainnya', empty = '💰 Belum ada saldo' } = {}) {
+  const lines = currencies.map(currency =>
+    `💰 ${currency.symbol}: ${formatAmount(balances.get(currency.id) || 0n)}`
+  );
+  const known = new Set(currencies.map(currency => currency.id));
+  [...balances].filter(([id]) => !known.has(id)).forEach(([id, value]) => {
+    lines.push(`💰 ${id === UNKNOWN_CURRENCY ? other : id.substring(0, 8)}: ${formatAmount(value)}`);
+  });
+  return lines.length > 0 ? lines : [empty];
+}
@@ -0,0 +1,113 @@
+// ======== Check-In Eligibility ========
+// Works out whether the user can check in now, and if not, when.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const FREQUENCY_MS = {
+  hourly: HOUR,
+  daily: DAY,
+  weekly: 7 * DAY,
+  monthly: 30 * DAY,
+};
+
+const ONE_TIME_FREQUENCIES = ['once', 'one_time', 'onetime', 'none'];
+
+const DEFAULT_COOLDOWN_MS = FREQUENCY_MS.weekly; // PactSwap check-in is weekly
+const COMPLETED_STATUSES = ['completed', 'complete', 'success', 'processing', 'pending'];
+
+export const ELIGIBILITY = {
+  ELIGIBLE: 'eligible',
+  ALREADY_DONE: 'already_done',
+  INACTIVE: 'inactive',
+};
+
+function toTime(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+export function findRuleStatus(statusList, ruleId) {
+  return (statusList || []).find(record =>
+    record.loyaltyRuleId === ruleId ||
+    record.ruleId === ruleId ||
+    record.loyaltyRule?.id === ruleId
+  ) || null;
+}
+
+// Cooldown from the rule definition: explicit seconds first, then frequency name
+export function getRuleCooldownMs(rule) {
+  if (!rule) return DEFAULT_COOLDOWN_MS;
+  const seconds = Number(rule.cooldownSeconds ?? rule.cooldown ?? rule.intervalSeconds);
+  if (Number.isFinite(seconds) && seconds > 0) {
+    return seconds * 1000;
+  }
+  const frequency = String(rule.frequency || rule.interval || '').toLowerCase();
+  if (ONE_TIME_FREQUENCIES.includes(frequency)) {
+    return Infinity; // Quest can only be completed once
+  }
+  return FREQUENCY_MS[frequency] || DEFAULT_COOLDOWN_MS;
+}
+
+export function evaluateEligibility({ statusList, rule = null, ruleId, now = Date.now() }) {
+  const record = findRuleStatus(statusList, ruleId);
+  const effectiveRule = rule || record?.loyaltyRule || null;
+
+  if (effectiveRule) {
+    const startsAt = toTime(effectiveRule.startTime);
+    const endsAt = toTime(effectiveRule.endTime);
+    if (effectiveRule.isActive === false || (startsAt && now < startsAt) || (endsAt && now > endsAt)) {
+      return { state: ELIGIBILITY.INACTIVE, rule: effectiveRule, record };
+    }
+  }
+
+  const lastCompletedAt = toTime(
+    record?.lastCompletedAt || record?.completedAt ||
+    (COMPLETED_STATUSES.includes(String(record?.status).toLowerCase()) ? record?.updatedAt || record?.createdAt : null)
+  );
+  const cooldownMs = getRuleCooldownMs(effectiveRule);
+  if (cooldownMs === Infinity && lastCompletedAt) {
+    return {
+      state: ELIGIBILITY.ALREADY_DONE,
+      rule: effectiveRule,
+      record,
+      oneTime: true,
+      lastCompletedAt: new Date(lastCompletedAt).toISOString(),
+      nextAvailableAt: null,
+      remainingMs: Infinity,
+    };
+  }
+
+  const nextAvailableAt = toTime(record?.nextAvailableAt) ||
+    (lastCompletedAt ? lastCompletedAt + cooldownMs : null);
+
+  if (nextAvailableAt && now < nextAvailableAt) {
+    return {
+      state: ELIGIBILITY.ALREADY_DONE,
+      rule: effectiveRule,
+      record,
+      lastCompletedAt: new Date(lastCompletedAt || nextAvailableAt - cooldownMs).toISOString(),
+      nextAvailableAt: new Date(nextAvailableAt).toISOString(),
+      remainingMs: nextAvailableAt - now,
+    };
+  }
+
+  return {
+    state: ELIGIBILITY.ELIGIBLE,
+    rule: effectiveRule,
+    record,
+    lastCompletedAt: lastCompletedAt ? new Date(lastCompletedAt).toISOString() : null,
+  };
+}
+
+// 2d 4h / 3h 15m / 5m / <1m
+export function formatCountdown(ms) {
+  if (ms < 60 * 1000) return '<1m';
+  const days = Math.floor(ms / DAY);
+  const hours = Math.floor((ms % DAY) / HOUR);
+  const minutes = Math.floor((ms % HOUR) / (60 * 1000));
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  return `${minutes}m`;
+}
@@ -0,0 +1,49 @@
+// ======== Check-In Reward Detection ========
+// PactSwap queues completions, so the credited amount is found by diffing
+// transaction entries from before and after the submit.
+
+import { parseAmount, formatAmount, sumAmounts } from '../utils/decimal.js';
+
+export function entryCurrencyId(entry) {
+  return entry.loyaltyCurrencyId || entry.loyaltyCurrency?.id || entry.currencyId || null;
+}
+
+export function entryRuleId(entry) {
+  return entry.loyaltyRuleId || entry.loyaltyRule?.id || entry.ruleId || null;
+}
+
+export function diffTransactionEntries(before, after) {
+  const seen = new Set((before || []).map(entry => entry.id));
+  return (after || []).filter(entry => !seen.has(entry.id));
+}
+
+// Credits for `ruleId` among new entries → {amount, currencyId} or null
+export function summarizeReward(newEntries, ruleId) {
+  const credits = newEntries.filter(entry =>
+    entry.direction !== 'debit' && (!ruleId || entryRuleId(entry) === ruleId)
+  );
+  if (credits.length === 0) return null;
+
+  return {
+    amount: formatAmount(sumAmounts(credits.map(entry => entry.amount))),
+    currencyId: entryCurrencyId(credits[0]),
+    entryIds: credits.map(entry => entry.id),
+  };
+}
+
+// Reward reported directly in the completion response, if any
+export function rewardFromResponse(data) {
+  const raw = data?.amount ?? data?.reward?.amount;
+  let amount;
+  try {
+    amount = parseAmount(raw);
+  } catch {
+    return null;
+  }
+  if (amount === 0n) return null;
+  return {
+    amount: formatAmount(amount),
+    currencyId: data.loyaltyCurrencyId || data.reward?.loyaltyCurrencyId || null,
+    entryIds: [],
+  };
+}
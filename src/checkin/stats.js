@@ -0,0 +1,63 @@
+// ======== Check-In Statistics ========
+// Daily check-in outcome counters (manual + auto) for the admin /stats
+// command. One record per local calendar day, older days are pruned.
+
+import { getLocalDateKey } from '../utils/time.js';
+
+const STATS = 'checkInStats';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CHECKIN_OUTCOMES = ['success', 'conflict', 'failed'];
+
+function emptyCounts() {
+  return { success: 0, conflict: 0, failed: 0 };
+}
+
+function addCounts(total, counts) {
+  for (const outcome of CHECKIN_OUTCOMES) {
+    total[outcome] += counts?.[outcome] || 0;
+  }
+  return total;
+}
+
+// Share of submissions that failed (conflicts are "already done", not failures)
+export function failureRate(counts) {
+  const attempts = counts.success + counts.conflict + counts.failed;
+  return attempts === 0 ? 0 : counts.failed / attempts;
+}
+
+export function createCheckInStats({ store, timeZone = 'UTC', retentionDays = 35 }) {
+  function prune(now) {
+    const oldest = getLocalDateKey(new Date(now.getTime() - retentionDays * DAY_MS), timeZone);
+    for (const [day] of store.entries(STATS)) {
+      if (day < oldest) store.delete(STATS, day);
+    }
+  }
+
+  return {
+    /**
+     * @param {'success'|'conflict'|'failed'} outcome
+     * @param {Date} [now]
+     */
+    record(outcome, now = new Date()) {
+      if (!CHECKIN_OUTCOMES.includes(outcome)) {
+        throw new Error(`Unknown check-in outcome: ${outcome}`);
+      }
+      const day = getLocalDateKey(now, timeZone);
+      const counts = { ...emptyCounts(), ...store.get(STATS, day) };
+      counts[outcome]++;
+      store.set(STATS, day, counts);
+      prune(now);
+    },
+
+    // Today and the last 7 days (today included)
+    summary(now = new Date()) {
+      const today = addCounts(emptyCounts(), store.get(STATS, getLocalDateKey(now, timeZone)));
+      const week = emptyCounts();
+      for (let offset = 0; offset < 7; offset++) {
+        addCounts(week, store.get(STATS, getLocalDateKey(new Date(now.getTime() - offset * DAY_MS), timeZone)));
+      }
+      return { today, week, failureRate: failureRate(week) };
+    },
+  };
+}
@@ -0,0 +1,135 @@
+// ======== Check-In Streaks ========
+// Streaks are counted in the check-in rule's own cadence (weekly for the
+// PactSwap check-in, daily for a daily rule): a check-in continues the streak
+// when it comes at most two periods after the previous one, i.e. the user
+// checked in again before the next window closed.
+//
+// Check-in times come from PactSwap transaction entries for the rule plus the
+// bot's own log of successful submits (entries can lag behind a queued
+// completion). Both are merged into one per-account log in the store, so
+// later updates only need the newest entries. Milestone badges are awarded
+// once and kept.
+
+import { entryRuleId } from './reward.js';
+
+const STREAKS = 'streaks';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LOG_SIZE = 500;
+
+// Help screen milestones (in check-ins in a row)
+export const STREAK_BADGES = [
+  { id: 'streak_7', streak: 7 },
+  { id: 'gold', streak: 30 },
+];
+
+export function cadenceOf(periodMs) {
+  if (periodMs === DAY_MS) return 'daily';
+  if (periodMs === 7 * DAY_MS) return 'weekly';
+  return 'other';
+}
+
+// Several timestamps for one check-in (entry + local log, split rewards) count once
+function collapse(times, periodMs) {
+  const events = [];
+  for (const time of [...times].sort((a, b) => a - b)) {
+    if (events.length === 0 || time - events.at(-1) >= periodMs / 2) {
+      events.push(time);
+    }
+  }
+  return events;
+}
+
+/**
+ * @param {number[]} times - Check-in timestamps (ms), any order
+ * @param {number} periodMs - Rule cooldown (getRuleCooldownMs)
+ * @param {number} [now]
+ * @returns {{current: number, best: number, lastCheckInAt: number|null}}
+ */
+export function computeStreak(times, periodMs, now = Date.now()) {
+  if (!Number.isFinite(periodMs) || periodMs <= 0) {
+    return { current: 0, best: 0, lastCheckInAt: null }; // One-time rule: no streaks
+  }
+
+  let run = 0;
+  let best = 0;
+  let previous = null;
+  for (const time of collapse(times, periodMs)) {
+    run = previous !== null && time - previous <= 2 * periodMs ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = time;
+  }
+
+  const alive = previous !== null && now - previous <= 2 * periodMs;
+  return { current: alive ? run : 0, best, lastCheckInAt: previous };
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.store - Store instance (namespace "streaks", keyed by PactSwap user ID)
+ * @param {string} options.ruleId - Check-in loyalty rule
+ */
+export function createStreakService({ store, ruleId }) {
+  function load(pactswapUserId) {
+    return store.get(STREAKS, pactswapUserId) || { log: [], best: 0, badges: {}, synced: false };
+  }
+
+  return {
+    /** true once the account's full entry history has been merged. */
+    isSynced(pactswapUserId) {
+      return Boolean(store.get(STREAKS, pactswapUserId)?.synced);
+    },
+
+    /**
+     * Merge check-in times into the log.
+     * @param {string} pactswapUserId
+     * @param {object} checkIns
+     * @param {object[]} [checkIns.entries] - Transaction entries (only this rule's credits are used)
+     * @param {boolean} [checkIns.complete] - `entries` is the whole history
+     * @param {Date} [checkIns.checkedInAt] - Successful submit from the bot
+     */
+    record(pactswapUserId, { entries = [], complete = false, checkedInAt = null }) {
+      const state = load(pactswapUserId);
+      const times = new Set(state.log);
+      for (const entry of entries) {
+        if (entryRuleId(entry) === ruleId && entry.direction !== 'debit' && entry.createdAt) {
+          times.add(new Date(entry.createdAt).getTime());
+        }
+      }
+      if (checkedInAt) times.add(checkedInAt.getTime());
+
+      const log = [...times].filter(Number.isFinite).sort((a, b) => a - b).slice(-MAX_LOG_SIZE);
+      store.set(STREAKS, pactswapUserId, { ...state, log, synced: state.synced || complete });
+    },
+
+    /**
+     * Current / best streak in the rule's cadence; awards milestone badges.
+     * @param {string} pactswapUserId
+     * @param {{periodMs: number, now?: Date}} options
+     * @returns {{current, best, lastCheckInAt, cadence, badges: string[], newBadges: string[]}}
+     */
+    summary(pactswapUserId, { periodMs, now = new Date() }) {
+      const state = load(pactswapUserId);
+      const streak = computeStreak(state.log, periodMs, now.getTime());
+      // The log is capped, so the stored best can be higher than the recomputed one
+      const best = Math.max(state.best, streak.best);
+
+      const badges = { ...state.badges };
+      const newBadges = STREAK_BADGES
+        .filter(badge => best >= badge.streak && !badges[badge.id])
+        .map(badge => badge.id);
+      for (const id of newBadges) {
+        badges[id] = now.toISOString();
+      }
+      store.set(STREAKS, pactswapUserId, { ...state, best, badges, current: streak.current, updatedAt: now.toISOString() });
+
+      return {
+        current: streak.current,
+        best,
+        lastCheckInAt: streak.lastCheckInAt ? new Date(streak.lastCheckInAt) : null,
+        cadence: cadenceOf(periodMs),
+        badges: STREAK_BADGES.filter(badge => badges[badge.id]).map(badge => badge.id),
+        newBadges,
+      };
+    },
+  };
+}
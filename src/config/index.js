@@ -0,0 +1,131 @@
+// ======== Configuration ========
+// Reads the environment once at startup against CONFIG_SCHEMA. Every problem
+// is collected first, so a bad .env is reported in one go instead of surfacing
+// later as a PactSwap or Telegram error.
+
+import { CONFIG_SCHEMA } from './schema.js';
+import { isValidTimeZone } from '../utils/time.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n` +
+      problems.map(problem => `  - ${problem}`).join('\n'));
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Returns the typed value, or throws with what was expected
+function parseValue(spec, raw) {
+  const value = raw.trim();
+  switch (spec.type) {
+    case 'integer': {
+      if (!/^-?\d+$/.test(value)) throw new Error('must be a whole number');
+      const number = Number(value);
+      if (spec.min !== undefined && number < spec.min) throw new Error(`must be at least ${spec.min}`);
+      if (spec.max !== undefined && number > spec.max) throw new Error(`must be at most ${spec.max}`);
+      return number;
+    }
+    case 'boolean':
+      if (TRUE_VALUES.includes(value.toLowerCase())) return true;
+      if (FALSE_VALUES.includes(value.toLowerCase())) return false;
+      throw new Error('must be true or false');
+    case 'url':
+      if (!/^https?:\/\/[^\s/]+/.test(value)) throw new Error('must be an http(s) URL');
+      return value.replace(/\/+$/, '');
+    case 'uuid':
+      if (!UUID_PATTERN.test(value)) throw new Error('must be a UUID (xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx)');
+      return value;
+    case 'hex': {
+      const digits = value.replace(/^0x/, '');
+      if (!/^[0-9a-fA-F]+$/.test(digits) || digits.length !== spec.bytes * 2) {
+        throw new Error(`must be ${spec.bytes} bytes of hex (${spec.bytes * 2} digits, optional 0x)`);
+      }
+      return `0x${digits}`;
+    }
+    case 'enum':
+      if (!spec.values.includes(value)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+      return value;
+    case 'list': {
+      const items = value.split(',').map(item => item.trim()).filter(Boolean);
+      const invalid = items.filter(item => spec.pattern && !spec.pattern.test(item));
+      if (invalid.length > 0) throw new Error(`has invalid entries: ${invalid.join(', ')}`);
+      return items;
+    }
+    case 'timezone':
+      if (!isValidTimeZone(value)) throw new Error('must be an IANA time zone (e.g. Asia/Jakarta)');
+      return value;
+    default:
+      if (spec.pattern && !spec.pattern.test(value)) throw new Error(`is malformed (${spec.hint || spec.pattern})`);
+      return value;
+  }
+}
+
+/**
+ * Parse and validate the environment.
+ * @param {object} env - Usually process.env
+ * @returns {object} Frozen config keyed by variable name (unset optional keys are null)
+ * @throws {ConfigError} Listing every invalid or missing variable
+ */
+export function loadConfig(env = process.env) {
+  const config = {};
+  const sources = {}; // key → 'env' | 'default' | 'unset'
+  const problems = [];
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const raw = env[key];
+    if (raw !== undefined && raw.trim() !== '') {
+      try {
+        config[key] = parseValue(spec, raw);
+        sources[key] = 'env';
+      } catch (error) {
+        problems.push(`${key} ${error.message}`);
+        config[key] = null;
+      }
+      continue;
+    }
+    const fallback = typeof spec.default === 'function' ? spec.default(config) : spec.default;
+    config[key] = fallback ?? null;
+    sources[key] = fallback === undefined ? 'unset' : 'default';
+  }
+
+  // Required / required-if rules run once every value is known
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const required = typeof spec.required === 'function' ? spec.required(config) : spec.required;
+    if (required && sources[key] === 'unset') {
+      problems.push(`${key} is required${typeof spec.required === 'function' ? ' with the current settings' : ''}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  Object.defineProperty(config, 'sources', { value: Object.freeze(sources) });
+  return Object.freeze(config);
+}
+
+function formatValue(spec, value) {
+  if (value === null) return '-';
+  if (spec.secret) return '•••••• (set)';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '-';
+  return spec.unit ? `${value}${spec.unit}` : String(value);
+}
+
+/**
+ * Effective configuration as text, grouped, with secrets masked.
+ * @param {object} config - loadConfig() result
+ */
+export function describeConfig(config) {
+  const groups = new Map();
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const source = config.sources?.[key] === 'default' ? ' (default)' : '';
+    const line = `${key} = ${formatValue(spec, config[key])}${source}`;
+    groups.set(spec.group, [...(groups.get(spec.group) || []), line]);
+  }
+  return [...groups].map(([group, lines]) => `[${group}]\n${lines.join('\n')}`).join('\n\n');
+}
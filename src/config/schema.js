@@ -0,0 +1,91 @@
+// ======== Configuration Schema ========
+// Every environment variable the bot reads, with its type, default and rules.
+// Keys are the variable names; loadConfig() turns them into typed values.
+//
+//   type      string | integer | boolean | url | uuid | hex | enum | list | timezone
+//   default   value, or (config) => value for defaults that depend on other keys
+//   required  true, or (config) => boolean for required-if rules
+//   secret    masked in /config and registered with the logger for redaction
+
+export const CONFIG_SCHEMA = {
+  // Telegram
+  TELEGRAM_BOT_TOKEN: { group: 'Telegram', type: 'string', required: true, secret: true, pattern: /^\d+:[\w-]+$/, hint: '<bot id>:<secret> from @BotFather' },
+  BOT_POLLING_TIMEOUT: { group: 'Telegram', type: 'integer', default: 30, min: 0, max: 50, unit: 's' },
+  BOT_API_TIMEOUT: { group: 'Telegram', type: 'integer', default: 30000, min: 1000, unit: 'ms' },
+  ADMIN_IDS: { group: 'Telegram', type: 'list', default: [], pattern: /^\d+$/, hint: 'comma-separated Telegram user IDs' },
+  BROADCAST_RATE_PER_SEC: { group: 'Telegram', type: 'integer', default: 25, min: 1, max: 30 },
+
+  // Button tap and command limits (token buckets: burst size + refill per minute)
+  RATE_LIMIT_USER_BURST: { group: 'Rate Limits', type: 'integer', default: 5, min: 1 },
+  RATE_LIMIT_USER_PER_MIN: { group: 'Rate Limits', type: 'integer', default: 30, min: 1 },
+  RATE_LIMIT_GLOBAL_BURST: { group: 'Rate Limits', type: 'integer', default: 50, min: 1 },
+  RATE_LIMIT_GLOBAL_PER_MIN: { group: 'Rate Limits', type: 'integer', default: 600, min: 1 },
+
+  // Update delivery
+  BOT_MODE: { group: 'Update Delivery', type: 'enum', values: ['polling', 'webhook'], default: 'polling' },
+  WEBHOOK_DOMAIN: { group: 'Update Delivery', type: 'url', required: config => config.BOT_MODE === 'webhook' },
+  WEBHOOK_PATH: { group: 'Update Delivery', type: 'string', default: '/telegram/webhook', pattern: /^\//, hint: 'must start with "/"' },
+  WEBHOOK_HOST: { group: 'Update Delivery', type: 'string', default: '0.0.0.0' },
+  PORT: { group: 'Update Delivery', type: 'integer', min: 0, max: 65535 },
+  WEBHOOK_PORT: { group: 'Update Delivery', type: 'integer', default: config => config.PORT ?? 8080, min: 0, max: 65535 },
+  WEBHOOK_SECRET_TOKEN: { group: 'Update Delivery', type: 'string', secret: true, pattern: /^[A-Za-z0-9_-]{1,256}$/, hint: '1-256 characters of A-Z, a-z, 0-9, _ or -' },
+
+  // Health & metrics
+  MONITORING_PORT: { group: 'Monitoring', type: 'integer', min: 0, max: 65535 },
+  MONITORING_HOST: { group: 'Monitoring', type: 'string', default: '0.0.0.0' },
+
+  // PactSwap
+  // start() signs in with this wallet; there is no token-only mode
+  ETHEREUM_PRIVATE_KEY: { group: 'PactSwap', type: 'hex', bytes: 32, required: true, secret: true },
+  PACTSWAP_API_URL: { group: 'PactSwap', type: 'url', default: 'https://hub.pactswap.io/api' },
+  PACTSWAP_WEBSITE_ID: { group: 'PactSwap', type: 'uuid', default: 'c3b59f60-7af2-4ed0-b7bd-a516d529164f' },
+  PACTSWAP_ORGANIZATION_ID: { group: 'PactSwap', type: 'uuid', default: 'c3a57acb-4b05-4162-809f-a1f8729cdf9a' },
+  PACTSWAP_LOYALTY_RULE_ID: { group: 'PactSwap', type: 'uuid', default: '6a796160-bb9e-45f8-85a6-90747d44423e' },
+  // Only needed when PactSwap does not report the signed-in user's ID
+  PACTSWAP_USER_ID: { group: 'PactSwap', type: 'uuid' },
+  ALLOW_SHARED_IDENTITY: { group: 'PactSwap', type: 'boolean', default: false },
+  PACTSWAP_AUTH_DOMAIN: { group: 'PactSwap', type: 'string', default: 'hub.pactswap.io' },
+  PACTSWAP_AUTH_URI: { group: 'PactSwap', type: 'url', default: 'https://hub.pactswap.io' },
+  PACTSWAP_CHAIN_ID: { group: 'PactSwap', type: 'integer', default: 1, min: 1 },
+  PACTSWAP_AUTH_NONCE_PATH: { group: 'PactSwap', type: 'string', default: '/auth/nonce', pattern: /^\//, hint: 'must start with "/"' },
+  PACTSWAP_AUTH_VERIFY_PATH: { group: 'PactSwap', type: 'string', default: '/auth/verify', pattern: /^\//, hint: 'must start with "/"' },
+  PACTSWAP_AUTH_SESSION_PATH: { group: 'PactSwap', type: 'string', default: '/auth/session', pattern: /^\//, hint: 'must start with "/"' },
+
+  // PactSwap requests
+  PACTSWAP_RETRIES: { group: 'PactSwap Requests', type: 'integer', default: 3, min: 1, max: 10 },
+  PACTSWAP_RETRY_DEADLINE_MS: { group: 'PactSwap Requests', type: 'integer', default: 20000, min: 0, unit: 'ms' },
+  CIRCUIT_BREAKER_THRESHOLD: { group: 'PactSwap Requests', type: 'integer', default: 5, min: 1 },
+  CIRCUIT_BREAKER_RESET_MS: { group: 'PactSwap Requests', type: 'integer', default: 30000, min: 0, unit: 'ms' },
+  REWARD_POLL_INTERVAL_MS: { group: 'PactSwap Requests', type: 'integer', default: 3000, min: 0, unit: 'ms' },
+  CACHE_TTL_CURRENCIES_MS: { group: 'PactSwap Requests', type: 'integer', default: 60 * 60 * 1000, min: 0, unit: 'ms' },
+  CACHE_TTL_RULE_GROUPS_MS: { group: 'PactSwap Requests', type: 'integer', default: 5 * 60 * 1000, min: 0, unit: 'ms' },
+  CACHE_TTL_SPECIAL_RULES_MS: { group: 'PactSwap Requests', type: 'integer', default: 5 * 60 * 1000, min: 0, unit: 'ms' },
+  CACHE_TTL_HISTORY_MS: { group: 'PactSwap Requests', type: 'integer', default: 2 * 60 * 1000, min: 0, unit: 'ms' },
+  CACHE_STALE_MS: { group: 'PactSwap Requests', type: 'integer', default: 60 * 60 * 1000, min: 0, unit: 'ms' },
+
+  // Schedulers
+  AUTO_CHECKIN_ENABLED: { group: 'Schedulers', type: 'boolean', default: true },
+  AUTO_CHECKIN_INTERVAL_MS: { group: 'Schedulers', type: 'integer', default: 5 * 60 * 1000, min: 1000, unit: 'ms' },
+  REMINDERS_ENABLED: { group: 'Schedulers', type: 'boolean', default: true },
+  REMINDER_INTERVAL_MS: { group: 'Schedulers', type: 'integer', default: 15 * 60 * 1000, min: 1000, unit: 'ms' },
+  BOT_TIMEZONE: { group: 'Schedulers', type: 'timezone', default: 'Asia/Jakarta' },
+  SCHEDULER_LOCK_DIR: { group: 'Schedulers', type: 'string' },
+
+  // Group chats
+  LEADERBOARD_SIZE: { group: 'Groups', type: 'integer', default: 10, min: 1, max: 50 },
+  LEADERBOARD_CACHE_MS: { group: 'Groups', type: 'integer', default: 5 * 60 * 1000, min: 0, unit: 'ms' },
+
+  // Storage
+  STORE_ADAPTER: { group: 'Storage', type: 'enum', values: ['file', 'memory'], default: 'file' },
+  STORE_FILE: { group: 'Storage', type: 'string', default: './data/store.json' },
+
+  // Environment & logging
+  NODE_ENV: { group: 'Environment', type: 'string', default: 'development' },
+  LOG_LEVEL: { group: 'Environment', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  LOG_FORMAT: {
+    group: 'Environment',
+    type: 'enum',
+    values: ['json', 'pretty'],
+    default: config => (config.NODE_ENV === 'production' ? 'json' : 'pretty'),
+  },
+};
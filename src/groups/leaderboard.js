@@ -0,0 +1,50 @@
+// ======== Group Leaderboard ========
+// Ranks a group's known members that linked their own wallet: points balance
+// first, then current check-in streak. Members on the shared bot identity are
+// left out (they would all show the same account), and so is anyone who
+// opted out with /leaderboard off. Only display names are returned - never
+// wallets or PactSwap IDs - because the result is posted in the group.
+
+import { logger } from '../utils/logger.js';
+
+export function compareRows(a, b) {
+  if (a.points !== b.points) return a.points > b.points ? -1 : 1;
+  if (a.streak !== b.streak) return b.streak - a.streak;
+  return a.name.localeCompare(b.name);
+}
+
+/**
+ * @param {object} options
+ * @param {{telegramUserId: string, name: string}[]} options.members - createGroupMembers().list()
+ * @param {(telegramUserId: string) => object|null} options.getLinkedIdentity
+ * @param {(telegramUserId: string) => boolean} options.isOptedOut
+ * @param {(pactswapUserId: string) => Promise<bigint>} options.getPoints - Scaled balance (decimal.js)
+ * @param {(pactswapUserId: string) => Promise<number>} options.getStreak - Current streak
+ * @param {number} [options.limit]
+ * @returns {Promise<{rows: {rank, name, points: bigint, streak: number}[], ranked: number}>}
+ */
+export async function buildLeaderboard({ members, getLinkedIdentity, isOptedOut, getPoints, getStreak, limit = 10 }) {
+  const rows = [];
+  const seen = new Set(); // One row per PactSwap account
+
+  // One member at a time: a first-time balance walk can take many pages
+  for (const member of members) {
+    const identity = getLinkedIdentity(member.telegramUserId);
+    if (!identity || isOptedOut(member.telegramUserId) || seen.has(identity.pactswapUserId)) continue;
+    seen.add(identity.pactswapUserId);
+
+    try {
+      const points = await getPoints(identity.pactswapUserId);
+      const streak = await getStreak(identity.pactswapUserId).catch(() => 0);
+      rows.push({ name: member.name, points, streak });
+    } catch (error) {
+      logger.warn(`⚠️  Leaderboard skipped member ${member.telegramUserId}: ${error.message}`);
+    }
+  }
+
+  rows.sort(compareRows);
+  return {
+    rows: rows.slice(0, limit).map((row, index) => ({ rank: index + 1, ...row })),
+    ranked: rows.length,
+  };
+}
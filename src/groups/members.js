@@ -0,0 +1,53 @@
+// ======== Group Members ========
+// Telegram has no "list members" call for bots, so the bot remembers who it
+// has seen in each group: senders of commands (or every message when privacy
+// mode is off), new members, and members who left. Keyed by group chat ID.
+
+const GROUP_MEMBERS = 'groupMembers';
+
+function displayName(user) {
+  return [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || String(user.id);
+}
+
+export function createGroupMembers({ store, maxMembers = 500 }) {
+  function load(chatId) {
+    return store.get(GROUP_MEMBERS, String(chatId)) || { members: {} };
+  }
+
+  return {
+    /** Remember (or refresh the name of) a member; bots are ignored. */
+    record(chatId, user) {
+      if (!user || user.is_bot) return;
+      const state = load(chatId);
+      const members = { ...state.members, [user.id]: { name: displayName(user), seenAt: new Date().toISOString() } };
+
+      // Least recently seen members go first when the group outgrows the cap
+      const ids = Object.keys(members);
+      if (ids.length > maxMembers) {
+        ids.sort((a, b) => members[a].seenAt.localeCompare(members[b].seenAt));
+        ids.slice(0, ids.length - maxMembers).forEach(id => delete members[id]);
+      }
+      store.set(GROUP_MEMBERS, String(chatId), { ...state, members });
+    },
+
+    remove(chatId, telegramUserId) {
+      const state = load(chatId);
+      if (!state.members[telegramUserId]) return false;
+      const members = { ...state.members };
+      delete members[telegramUserId];
+      store.set(GROUP_MEMBERS, String(chatId), { ...state, members });
+      return true;
+    },
+
+    /** The bot itself was removed from the group. */
+    forget(chatId) {
+      return store.delete(GROUP_MEMBERS, String(chatId));
+    },
+
+    /** @returns {{telegramUserId: string, name: string, seenAt: string}[]} */
+    list(chatId) {
+      return Object.entries(load(chatId).members)
+        .map(([telegramUserId, member]) => ({ telegramUserId, ...member }));
+    },
+  };
+}
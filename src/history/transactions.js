@@ -0,0 +1,78 @@
+// ======== Transaction History ========
+// Filtering, labelling and CSV/JSON export of loyalty transaction entries.
+
+import { entryCurrencyId, entryRuleId } from '../checkin/reward.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const DIRECTION_FILTERS = { a: null, c: 'credit', d: 'debit' };
+export const RANGE_FILTERS = { a: null, 7: 7 * DAY, 30: 30 * DAY, 90: 90 * DAY };
+
+export function filterEntries(entries, { direction = null, currencyId = null, sinceMs = null, now = Date.now() } = {}) {
+  return entries.filter(entry => {
+    if (direction && entry.direction !== direction) return false;
+    if (currencyId && entryCurrencyId(entry) !== currencyId) return false;
+    if (sinceMs && new Date(entry.createdAt).getTime() < now - sinceMs) return false;
+    return true;
+  });
+}
+
+// Map of ruleId → rule name from rule groups and a flat rule list
+export function buildRuleNames(rules) {
+  const names = new Map();
+  rules.forEach(rule => {
+    if (rule?.id) names.set(rule.id, rule.name);
+  });
+  return names;
+}
+
+function currencySymbol(entry, currencies) {
+  const currency = currencies.find(c => c.id === entryCurrencyId(entry));
+  return currency?.symbol || entry.loyaltyCurrency?.symbol || '';
+}
+
+function ruleName(entry, ruleNames) {
+  return entry.loyaltyRule?.name || ruleNames.get(entryRuleId(entry)) || entry.description || '-';
+}
+
+// `formatDate` renders the entry date (locale / time zone of the reader)
+export function describeEntry(
+  entry,
+  { currencies = [], ruleNames = new Map() } = {},
+  formatDate = date => date.toLocaleDateString('id-ID')
+) {
+  const sign = entry.direction === 'debit' ? '-' : '+';
+  const date = formatDate(new Date(entry.createdAt));
+  return `${entry.direction === 'debit' ? '🔻' : '🔺'} ${date} ${sign}${entry.amount} ${currencySymbol(entry, currencies)} · ${ruleName(entry, ruleNames)}`;
+}
+
+function toExportRow(entry, { currencies = [], ruleNames = new Map() }) {
+  return {
+    id: entry.id,
+    createdAt: entry.createdAt,
+    direction: entry.direction,
+    amount: String(entry.amount),
+    currency: currencySymbol(entry, currencies),
+    loyaltyCurrencyId: entryCurrencyId(entry),
+    loyaltyRuleId: entryRuleId(entry),
+    ruleName: ruleName(entry, ruleNames),
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(entries, labels = {}) {
+  const rows = entries.map(entry => toExportRow(entry, labels));
+  const columns = ['id', 'createdAt', 'direction', 'amount', 'currency', 'loyaltyCurrencyId', 'loyaltyRuleId', 'ruleName'];
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => csvField(row[column])).join(',')),
+  ].join('\n') + '\n';
+}
+
+export function toJson(entries, labels = {}) {
+  return JSON.stringify(entries.map(entry => toExportRow(entry, labels)), null, 2);
+}
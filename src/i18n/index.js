@@ -0,0 +1,71 @@
+// ======== Internationalization ========
+// Flat message catalogues per locale ("checkin.success" → text) with {name}
+// placeholders. Numbers and Date values passed as placeholders are formatted
+// for the locale; missing keys fall back to the default locale.
+
+import id from './locales/id.js';
+import en from './locales/en.js';
+
+export const DEFAULT_LOCALE = 'id';
+export const CATALOGUES = { id, en };
+export const SUPPORTED_LOCALES = Object.keys(CATALOGUES);
+
+// BCP 47 tags used for number/date formatting
+const FORMAT_TAGS = { id: 'id-ID', en: 'en-GB' };
+
+export function isSupportedLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale);
+}
+
+// Telegram language_code ("en", "en-US", "id") → supported locale
+export function resolveLocale(languageCode) {
+  if (!languageCode) return DEFAULT_LOCALE;
+  const base = languageCode.toLowerCase().split(/[-_]/)[0];
+  if (base === 'in') return 'id'; // Legacy code for Indonesian
+  return isSupportedLocale(base) ? base : 'en';
+}
+
+export function formatTag(locale) {
+  return FORMAT_TAGS[locale] || FORMAT_TAGS[DEFAULT_LOCALE];
+}
+
+export function formatNumber(locale, value) {
+  return new Intl.NumberFormat(formatTag(locale)).format(value);
+}
+
+export function formatDateTime(locale, date, timeZone) {
+  return new Date(date).toLocaleString(formatTag(locale), timeZone ? { timeZone } : {});
+}
+
+export function formatDate(locale, date, timeZone) {
+  return new Date(date).toLocaleDateString(formatTag(locale), timeZone ? { timeZone } : {});
+}
+
+/**
+ * @param {string} locale
+ * @param {string} key
+ * @param {Object} [params] - {name} values; numbers and Dates are formatted for the locale
+ * @param {{timeZone?: string}} [options]
+ */
+export function translate(locale, key, params = {}, { timeZone } = {}) {
+  const template = CATALOGUES[locale]?.[key] ?? CATALOGUES[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    if (value instanceof Date) return formatDateTime(locale, value, timeZone);
+    if (typeof value === 'number') return formatNumber(locale, value);
+    return String(value);
+  });
+}
+
+// t(key, params) bound to one locale (and time zone for dates)
+export function createTranslator(locale, { timeZone } = {}) {
+  const resolved = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+  const t = (key, params) => translate(resolved, key, params, { timeZone });
+  t.locale = resolved;
+  t.tag = formatTag(resolved);
+  t.timeZone = timeZone;
+  t.date = date => formatDate(resolved, date, timeZone);
+  t.dateTime = date => formatDateTime(resolved, date, timeZone);
+  return t;
+}
@@ -0,0 +1,271 @@
+// ======== English ========
+
+export default {
+  // --- Common ---
+  'common.back_menu': '🏠 Back to Menu',
+  'common.menu': '🏠 Menu',
+  'common.refresh': '🔄 Refresh',
+  'common.retry': '🔄 Try Again',
+  'common.relink': '🔑 Your PactSwap session has ended. Sign in again with /link <wallet>.',
+  'common.processing': '⏳ Processing...',
+  'common.processed': 'Processing',
+  'common.error': '❌ Something went wrong. Please try again.',
+  'common.session_invalid': '❌ Invalid session. Please run /start first.',
+  'common.admin_only': '⛔ This command is for admins only.',
+  'common.enabled': '✅ On',
+  'common.disabled': '❌ Off',
+  'common.prev': '◀️ Prev',
+  'common.next': 'Next ▶️',
+
+  // --- Button throttling ---
+  'throttle.busy': '⏳ Still processing, one moment...',
+  'throttle.slow_down': '🐢 Easy there - try again in {seconds}s.',
+
+  // --- Main menu ---
+  'menu.checkin': '✅ Daily Check-In',
+  'menu.profile': '👤 My Profile',
+  'menu.history': '📜 Transaction History',
+  'menu.quests': '🎯 Quests',
+  'menu.exclusive': '⭐ Exclusive Access',
+  'menu.status': '📊 Check-In Status',
+  'menu.settings': '⚙️ Settings',
+  'menu.language': '🌐 Bahasa / Language',
+  'menu.help': '❓ Help',
+  'menu.answer': 'Menu',
+  'menu.title': '🎉 Main Menu\n\n💡 Choose an option below to get started:',
+  'start.welcome': '🎉 Welcome, {name}!\n\n🤖 Your weekly check-in bot is ready.\n\n💡 Choose an option below to get started:',
+  'start.no_session': '❌ No PactSwap session yet.\n\n🔗 Sign in with your own wallet: /link <wallet>',
+
+  // --- Wallet linking ---
+  'link.usage': '🔗 Link Wallet\n\nFormat: /link <wallet>\nExample: /link 0x01f7...CAbe',
+  'link.sign': '✍️ Sign the following PactSwap login message with your wallet (personal_sign), then send: /verify <signature>\n\n⏱️ Valid for 10 minutes.',
+  'link.invalid_address': '❌ Invalid wallet address.',
+  'verify.usage': 'Format: /verify <signature>',
+  'verify.success': '✅ Wallet linked!\n\n💼 Wallet: {wallet}...\n🎯 PactSwap: {pactswapUserId}...\n\nCheck-ins, quests, Profile and History now use your own PactSwap account.\n\nType /start to open the menu.',
+  'verify.no_challenge': '❌ No pending link request. Start with /link first.',
+  'verify.expired': '❌ The link request has expired. Please /link again.',
+  'verify.bad_signature': '❌ The signature does not match the wallet.',
+  'verify.rejected': '❌ PactSwap rejected the sign-in. Please /link again.',
+  'verify.unknown_account': '❌ PactSwap did not report an account for this wallet. Please /link again.',
+  'verify.wallet_mismatch': '❌ PactSwap signed in a different wallet. Please /link again.',
+  'unlink.done': '🔓 Wallet unlinked. Use /link to link it again.',
+  'unlink.none': 'ℹ️ No wallet is linked.',
+
+  // --- Time zone / language ---
+  'timezone.current': '🌍 Your time zone: {timeZone}\n\nFormat: /timezone <zone>\nExample: /timezone Asia/Jakarta',
+  'timezone.invalid': '❌ Unknown time zone. Examples: Asia/Jakarta, Europe/London, UTC',
+  'timezone.saved': '✅ Time zone saved: {timeZone}',
+  'language.name': '🇬🇧 English',
+  'language.prompt': '🌐 Choose a language\n\nCurrent language: {language}\n\n💡 Or type /language id or /language en',
+  'language.saved': '✅ Language changed to {language}',
+  'language.unsupported': '❌ Unsupported language. Options: {locales}',
+
+  // --- Admin ---
+  'admin.help': '🛠️ Admin Commands\n\n' +
+    '/stats - Bot statistics\n' +
+    '/sessions [page] - List user sessions\n' +
+    '/session <telegramId> - Inspect a user session\n' +
+    '/refreshauth - Sign in to PactSwap again\n' +
+    '/flushcache [target] - Clear the catalogue cache\n' +
+    '/config - Effective configuration\n' +
+    '/broadcast <message> - Send an announcement to all users',
+  'admin.stats': '📊 Bot Statistics\n\n' +
+    '👥 Known users: {users}\n' +
+    '🔑 Active sessions: {sessions} ({linked} linked wallets)\n' +
+    '🤖 Auto check-in enabled: {autoCheckIn}\n' +
+    '🔔 Reminders enabled: {reminders}\n\n' +
+    '✅ Check-ins today: {todaySuccess} succeeded · {todayConflict} already done · {todayFailed} failed\n' +
+    '📅 Last 7 days: {weekSuccess} succeeded · {weekConflict} already done · {weekFailed} failed\n' +
+    '📉 Failure rate (7 days): {failureRate}%\n\n' +
+    '🔌 Open endpoints (circuit breaker): {openCircuits}\n' +
+    '🗂️ Cache: {cacheSize} entries · {cacheHits} hits · {cacheMisses} misses',
+  'admin.config': '⚙️ Configuration (secrets masked)\n\n{config}',
+  'admin.sessions': '🔑 Sessions ({page}/{totalPages}, {total} total)\n\n{list}',
+  'admin.sessions_empty': 'No sessions yet.',
+  'admin.session_line': '• {telegramId} - {wallet}... ({kind}) · {updatedAt}',
+  'admin.session_linked': 'linked',
+  'admin.session_shared': 'shared',
+  'admin.session_usage': 'Format: /session <telegramId>',
+  'admin.session_not_found': 'ℹ️ No data for user {telegramId}.',
+  'admin.session': '🔍 User {telegramId}\n\n' +
+    '🎯 PactSwap: {pactswapUserId}\n' +
+    '💼 Wallet: {wallet}\n' +
+    '🔗 Type: {kind}\n' +
+    '🔑 Session token: {token}\n' +
+    '⏳ Expires: {expires}\n' +
+    '🕐 Updated: {updatedAt}\n\n' +
+    '🌐 Language: {language} · 🌍 Time zone: {timeZone}\n' +
+    '🤖 Auto check-in: {autoCheckIn} · Last run: {lastRun}\n' +
+    '🔔 Reminders: {reminders}',
+  'admin.session_none': 'no session',
+  'admin.token_set': 'set (hidden)',
+  'admin.refresh_ok': '✅ PactSwap sign-in refreshed.\n\n⏳ Expires: {expires}\n🧹 {dropped} shared sessions will be recreated on next use.',
+  'admin.refresh_failed': '❌ PactSwap sign-in failed. Check the bot logs.',
+  'admin.broadcast_usage': 'Format: /broadcast <message>',
+  'admin.broadcast_running': '⏳ Another broadcast is still running.',
+  'admin.broadcast_started': '📣 Sending the announcement to {count} users...',
+  'admin.broadcast_done': '📣 Broadcast finished.\n\n✅ Sent: {sent}\n🚫 Blocked: {blocked}\n❌ Failed: {failed}\n👥 Total: {total}',
+  'cache.usage': 'Format: /flushcache [{targets}]',
+  'cache.all': 'catalogue',
+  'cache.flushed': '🧹 {target} cache cleared ({count} entries).\n\n📊 Hits: {hits} · Stale: {stale} · Misses: {misses} · Errors: {errors}',
+
+  // --- Export ---
+  'export.usage': 'Format: /export csv or /export json',
+  'export.preparing': '⏳ Preparing export...',
+  'export.caption': '📜 {count} transactions',
+  'export.failed': '❌ Could not export transactions. Please try again.',
+
+  // --- Check-in ---
+  'checkin.status_unavailable': '⚠️ Could not check your check-in status.\n\nThe PactSwap API is having problems. Please try again in a moment.',
+  'checkin.inactive': '🚫 Check-in is not active right now.\n\nThe PactSwap check-in rule has not opened yet or has ended.',
+  'checkin.already_done': '✅ You have already checked in!\n\n🕐 Last: {lastCompletedAt}\n⏳ Next check-in available in {countdown}\n📅 ({nextAvailableAt})',
+  'checkin.submitting': '⏳ Sending check-in and waiting for the reward...',
+  'checkin.reward': '💰 Reward: +{amount} {symbol}\n🏦 New balance: {balance} {symbol}\n',
+  'checkin.reward_queued': '⏳ PactSwap is still processing the reward (queued).\n   Check your balance in 👤 My Profile in a moment.\n',
+  'checkin.success': '✅ This Week\'s Check-In Succeeded!\n\n🎁 Status: {status}\n{reward}{streak}💼 Wallet: {wallet}...\n\n🔥 Don\'t forget to check in again next week!\n⏱️ Resets every week',
+  'checkin.conflict': '✅ You have already checked in this week!\n\n⏳ Please try again once the next check-in period starts.',
+  'checkin.failed': '❌ Check-in failed.\n\nPactSwap rejected or did not answer the request{http}.\n\nPlease try again in a moment.',
+
+  // --- Automatic check-in / reminders ---
+  'auto.success': '🤖 Auto Check-In Succeeded!\n\n🎁 Status: {status}\n{reward}{streak}',
+  'auto.reward': '💰 Reward: +{amount}\n🏦 New balance: {balance}\n',
+  'auto.reward_queued': '⏳ PactSwap is still processing the reward (queued).\n',
+  'auto.failed': '🤖 Auto Check-In Failed\n\nPactSwap did not respond. The bot will try again in 1 hour.',
+  'reminder.text': '🔔 Check-in is available again!\n\nTap the button below to check in now.',
+  'reminder.checkin_now': '✅ Check In Now',
+  'reminder.snooze_button': '⏰ In {hours} h',
+  'reminder.snooze_invalid': '❌ Invalid duration',
+  'reminder.snoozed_answer': '⏰ Reminding you again in {hours} h',
+  'reminder.snoozed': '⏰ OK, I will remind you again in {hours} hours.',
+
+  // --- Profile / balances ---
+  'profile.answer': '⏳ Loading profile...',
+  'profile.text': '👤 Your Profile\n\n📛 Name: {name}\n🆔 Telegram: {telegramId}\n🎯 PactSwap: {pactswapUserId}...\n💼 Wallet: {wallet}...\n\n{balances}\n📊 Transactions: {entryCount}\n🕐 Updated: {updatedAt}\n\n{streak}\n{badges}\n🏆 Status: Active',
+  'profile.failed': '❌ Could not load your profile. Please try again.',
+  'balance.other': 'Other',
+  'balance.empty': '💰 No balance yet',
+
+  // --- Streaks / badges ---
+  'streak.line': '🔥 Streak: {current} {unit} in a row (best: {best})',
+  'streak.unavailable': '🔥 Streak: -',
+  'streak.unit.daily': 'days',
+  'streak.unit.weekly': 'weeks',
+  'streak.unit.other': 'check-ins',
+  'streak.badges': '🏅 Badges: {badges}',
+  'streak.new_badge': '🎉 New badge: {badge}!',
+  'badge.streak_7': '🔥 Streak 7',
+  'badge.gold': '🥇 Gold Badge',
+
+  // --- Group chats / leaderboard ---
+  'group.welcome': '👋 Hi! Commands in this group:\n🏆 /leaderboard - Ranking of members with a linked wallet\n✅ /checkin - Check in, the result is sent in private chat\n\nNew members show up after sending a command in the group. Leave the ranking: /leaderboard off',
+  'group.private_only': '🔒 This command only works in private chat, so wallet details never show up in the group.',
+  'group.open_private': '💬 Open Private Chat',
+  'group.checkin_sent': '📬 {name}, your check-in result was sent in private chat.',
+  'group.start_private': '📬 {name}, start a private chat with the bot first, then send /checkin again.',
+  'leaderboard.answer': '🏆 Loading leaderboard...',
+  'leaderboard.text': '🏆 Leaderboard {group}\n\n{list}\n\n👥 Ranked: {ranked} linked members\n🕐 Updated: {updatedAt}\n🙈 Leave the ranking: /leaderboard off',
+  'leaderboard.line': '{position} {name} - {points} {symbol} · 🔥 {streak}',
+  'leaderboard.empty': '🏆 No members with a linked wallet yet.\n\nLink your wallet in private chat (/link), then send /leaderboard in this group.',
+  'leaderboard.failed': '❌ Could not load the leaderboard. Please try again.',
+  'leaderboard.group_only': 'ℹ️ /leaderboard only works in groups.\n\n🙈 Leave group rankings: /leaderboard off\n🏆 Show up again: /leaderboard on',
+  'leaderboard.opted_out': '🙈 You no longer appear on group leaderboards. Show up again: /leaderboard on',
+  'leaderboard.opted_in': '🏆 You appear on group leaderboards (if your wallet is linked).',
+
+  // --- History ---
+  'history.answer': '📜 Loading history...',
+  'history.direction.a': 'All',
+  'history.direction.c': 'Credit',
+  'history.direction.d': 'Debit',
+  'history.range.a': 'All time',
+  'history.range.7': '7 days',
+  'history.range.30': '30 days',
+  'history.range.90': '90 days',
+  'history.currency_all': 'All',
+  'history.empty': 'No transactions match this filter',
+  'history.text': '📜 Transaction History ({page}/{totalPages})\n\n🔎 Direction: {direction} · Currency: {currency} · Period: {range}\n📊 {shown} of {total} transactions{truncated}\n\n{list}\n\n💾 Export: /export csv or /export json',
+  'history.truncated': '⚠️ Only the newest {count} transactions were loaded - older ones are left out',
+  'history.failed': '❌ Could not load your transaction history. Please try again.',
+
+  // --- Quests ---
+  'quests.answer': '🎯 Loading quests...',
+  'quests.empty': 'No quests are available right now',
+  'quests.text': '🎯 Available Quests ({page}/{totalPages})\n\n{list}\n\n💡 Pick a quest to see its details and complete it!',
+  'quests.failed': '❌ Could not load quests. Please try again.',
+  'quest.answer': '🎯 Loading quest...',
+  'quest.step.social': 'Complete the {platform} task first',
+  'quest.step.referral': 'Invite friends to sign up with your referral link',
+  'quest.step.link': 'Open the quest link first',
+  'quest.status.inactive': '🚫 Quest is not active',
+  'quest.status.done': '✅ Completed',
+  'quest.status.done_again': '✅ Completed\n⏳ Available again in {countdown}',
+  'quest.status.todo': '⬜ Not completed',
+  'quest.complete_button': '✅ Complete',
+  'quest.open_link': '🔗 Open Link',
+  'quest.back_quests': '🔙 Back to Quests',
+  'quest.back_quest': '🔙 Back to Quest',
+  'quest.reward_line': '💰 Reward: +{amount} PACT\n',
+  'quest.detail': '🎯 {name}\n\n{description}💰 Reward: +{amount} PACT\n📊 Status: {status}\n{step}',
+  'quest.step_line': '\n👉 Next step: {step}',
+  'quest.failed': '❌ Could not load the quest. Please try again.',
+  'quest.not_completable': '❌ This quest cannot be completed from the bot.',
+  'quest.submitting': '⏳ Sending quest and waiting for the reward...',
+  'quest.reward': '💰 Reward: +{amount} PACT\n🏦 New balance: {balance} PACT',
+  'quest.reward_queued': '⏳ PactSwap is still processing the reward (queued).',
+  'quest.sent': '✅ Quest "{name}" sent!\n\n🎁 Status: {status}\n{reward}',
+  'quest.complete_failed': '❌ Could not complete the quest{http}.\n\nPlease try again in a moment.',
+
+  // --- Exclusive access ---
+  'exclusive.answer': '⭐ Loading exclusive access...',
+  'exclusive.reward': '   💰 Reward: +{amount} PACT\n',
+  'exclusive.empty_page': 'No more exclusive access on this page',
+  'exclusive.empty': 'No exclusive access is available right now',
+  'exclusive.text': '⭐ Exclusive Access (page {page})\n\n{list}\n\n✨ Exclusive access bonuses are available to special members!',
+  'exclusive.failed': '❌ Could not load exclusive access. Please try again.',
+
+  // --- Status ---
+  'status.answer': '📊 Loading status...',
+  'status.line': '📍 Status: {status}',
+  'status.empty': '📍 No check-in data yet',
+  'status.text': '📊 Your Check-In Status\n\n👤 Telegram: {telegramId}\n💼 Wallet: {wallet}...\n\n{list}\n\n💡 Don\'t forget to check in every week!',
+  'status.failed': '❌ Could not load your status. Please try again.',
+
+  // --- Settings ---
+  'settings.answer': '⚙️ Settings',
+  'settings.text': '⚙️ Settings\n\n🤖 Auto Check-In: {autoCheckIn}\n🕐 Time window: {window}\n{lastRun}\n🔔 Reminders: {reminders}\n🌙 Quiet hours: {quiet}\n🌍 Time zone: {timeZone} (change with /timezone)\n🌐 Language: {language}\n\n💡 Auto check-in submits the check-in for you; reminders only notify you.',
+  'settings.last_run': '📅 Last run: {date} ({outcome})\n',
+  'settings.window.any': '🕐 Any time',
+  'settings.quiet.off': '🔔 No quiet hours',
+  'settings.auto_off_button': '⏸️ Turn Off Auto Check-In',
+  'settings.auto_on_button': '▶️ Turn On Auto Check-In',
+  'settings.reminders_off_button': '🔕 Turn Off Reminders',
+  'settings.reminders_on_button': '🔔 Turn On Reminders',
+  'settings.auto_disabled': '⏸️ Auto check-in turned off',
+  'settings.auto_enabled': '▶️ Auto check-in turned on',
+  'settings.window_invalid': '❌ Invalid time window',
+  'settings.window_saved': '🕐 Time window saved',
+  'settings.reminders_disabled': '🔕 Reminders turned off',
+  'settings.reminders_enabled': '🔔 Reminders turned on',
+  'settings.quiet_invalid': '❌ Invalid quiet hours',
+  'settings.quiet_saved': '🌙 Quiet hours saved',
+
+  // --- Help ---
+  'help.answer': '❓ Help',
+  'help.text':
+    '❓ Help\n\n' +
+    '📋 Bot Features:\n' +
+    '✅ Check-In - Check in to earn points\n' +
+    '👤 Profile - See your profile and stats\n' +
+    '📊 Status - See your latest check-in status\n\n' +
+    '🎯 How It Works:\n' +
+    '1. Tap "Daily Check-In"\n' +
+    '2. Check in regularly to earn reward points\n' +
+    '3. Collect points and level up\n' +
+    '4. Unlock exclusive rewards!\n\n' +
+    '🎁 Streak Bonus (check-ins in a row, on the rule\'s schedule):\n' +
+    'Streak 7 = 🔥 Streak 7 badge\n' +
+    'Streak 30 = 🥇 Gold Badge\n' +
+    'Streaks and badges are shown on 👤 Profile\n\n' +
+    '👥 Groups: add the bot to a group for /leaderboard and /checkin\n' +
+    '🌐 Language: /language\n\n' +
+    '💬 Questions? Contact support.',
+};
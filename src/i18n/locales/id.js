@@ -0,0 +1,271 @@
+// ======== Bahasa Indonesia ========
+
+export default {
+  // --- Common ---
+  'common.back_menu': '🏠 Kembali ke Menu',
+  'common.menu': '🏠 Menu',
+  'common.refresh': '🔄 Refresh',
+  'common.retry': '🔄 Coba Lagi',
+  'common.relink': '🔑 Sesi PactSwap Anda telah berakhir. Masuk lagi dengan /link <wallet>.',
+  'common.processing': '⏳ Memproses...',
+  'common.processed': 'Diproses',
+  'common.error': '❌ Terjadi kesalahan. Silakan coba lagi.',
+  'common.session_invalid': '❌ Sesi tidak valid. Silakan lakukan /start terlebih dahulu.',
+  'common.admin_only': '⛔ Perintah ini hanya untuk admin.',
+  'common.enabled': '✅ Aktif',
+  'common.disabled': '❌ Nonaktif',
+  'common.prev': '◀️ Sebelumnya',
+  'common.next': 'Berikutnya ▶️',
+
+  // --- Button throttling ---
+  'throttle.busy': '⏳ Masih diproses, tunggu sebentar...',
+  'throttle.slow_down': '🐢 Pelan-pelan ya, coba lagi dalam {seconds} detik.',
+
+  // --- Main menu ---
+  'menu.checkin': '✅ Check-In Harian',
+  'menu.profile': '👤 Profil Saya',
+  'menu.history': '📜 Riwayat Transaksi',
+  'menu.quests': '🎯 Quests',
+  'menu.exclusive': '⭐ Exclusive Access',
+  'menu.status': '📊 Status Check-In',
+  'menu.settings': '⚙️ Pengaturan',
+  'menu.language': '🌐 Bahasa / Language',
+  'menu.help': '❓ Bantuan',
+  'menu.answer': 'Menu',
+  'menu.title': '🎉 Menu Utama\n\n💡 Pilih menu di bawah untuk memulai:',
+  'start.welcome': '🎉 Selamat datang, {name}!\n\n🤖 Bot Check-In Minggu Anda siap digunakan.\n\n💡 Pilih menu di bawah untuk memulai:',
+  'start.no_session': '❌ Belum ada sesi PactSwap.\n\n🔗 Masuk dengan wallet Anda sendiri: /link <wallet>',
+
+  // --- Wallet linking ---
+  'link.usage': '🔗 Hubungkan Wallet\n\nFormat: /link <wallet>\nContoh: /link 0x01f7...CAbe',
+  'link.sign': '✍️ Tanda tangani pesan login PactSwap berikut dengan wallet Anda (personal_sign), lalu kirim: /verify <signature>\n\n⏱️ Berlaku 10 menit.',
+  'link.invalid_address': '❌ Alamat wallet tidak valid.',
+  'verify.usage': 'Format: /verify <signature>',
+  'verify.success': '✅ Wallet berhasil dihubungkan!\n\n💼 Wallet: {wallet}...\n🎯 PactSwap: {pactswapUserId}...\n\nCheck-in, quest, Profil dan Riwayat kini memakai akun PactSwap Anda sendiri.\n\nKetik /start untuk membuka menu.',
+  'verify.no_challenge': '❌ Tidak ada permintaan link. Mulai dengan /link terlebih dahulu.',
+  'verify.expired': '❌ Permintaan link kedaluwarsa. Silakan /link lagi.',
+  'verify.bad_signature': '❌ Signature tidak cocok dengan wallet.',
+  'verify.rejected': '❌ PactSwap menolak login. Silakan /link lagi.',
+  'verify.unknown_account': '❌ PactSwap tidak melaporkan akun untuk wallet ini. Silakan /link lagi.',
+  'verify.wallet_mismatch': '❌ PactSwap memasukkan wallet yang berbeda. Silakan /link lagi.',
+  'unlink.done': '🔓 Wallet berhasil diputuskan. Gunakan /link untuk menghubungkan lagi.',
+  'unlink.none': 'ℹ️ Tidak ada wallet yang terhubung.',
+
+  // --- Time zone / language ---
+  'timezone.current': '🌍 Zona waktu Anda: {timeZone}\n\nFormat: /timezone <zona>\nContoh: /timezone Asia/Jakarta',
+  'timezone.invalid': '❌ Zona waktu tidak dikenal. Contoh: Asia/Jakarta, Europe/London, UTC',
+  'timezone.saved': '✅ Zona waktu disimpan: {timeZone}',
+  'language.name': '🇮🇩 Bahasa Indonesia',
+  'language.prompt': '🌐 Pilih bahasa\n\nBahasa saat ini: {language}\n\n💡 Atau ketik /language id atau /language en',
+  'language.saved': '✅ Bahasa diubah ke {language}',
+  'language.unsupported': '❌ Bahasa tidak didukung. Pilihan: {locales}',
+
+  // --- Admin ---
+  'admin.help': '🛠️ Perintah Admin\n\n' +
+    '/stats - Statistik bot\n' +
+    '/sessions [halaman] - Daftar sesi pengguna\n' +
+    '/session <telegramId> - Detail sesi pengguna\n' +
+    '/refreshauth - Login ulang ke PactSwap\n' +
+    '/flushcache [target] - Kosongkan cache katalog\n' +
+    '/config - Konfigurasi yang berlaku\n' +
+    '/broadcast <pesan> - Kirim pengumuman ke semua pengguna',
+  'admin.stats': '📊 Statistik Bot\n\n' +
+    '👥 Pengguna dikenal: {users}\n' +
+    '🔑 Sesi aktif: {sessions} ({linked} wallet terhubung)\n' +
+    '🤖 Auto check-in aktif: {autoCheckIn}\n' +
+    '🔔 Pengingat aktif: {reminders}\n\n' +
+    '✅ Check-in hari ini: {todaySuccess} berhasil · {todayConflict} sudah · {todayFailed} gagal\n' +
+    '📅 7 hari terakhir: {weekSuccess} berhasil · {weekConflict} sudah · {weekFailed} gagal\n' +
+    '📉 Tingkat gagal (7 hari): {failureRate}%\n\n' +
+    '🔌 Endpoint terbuka (circuit breaker): {openCircuits}\n' +
+    '🗂️ Cache: {cacheSize} entri · Hit {cacheHits} · Miss {cacheMisses}',
+  'admin.config': '⚙️ Konfigurasi (rahasia disamarkan)\n\n{config}',
+  'admin.sessions': '🔑 Sesi ({page}/{totalPages}, total {total})\n\n{list}',
+  'admin.sessions_empty': 'Belum ada sesi.',
+  'admin.session_line': '• {telegramId} - {wallet}... ({kind}) · {updatedAt}',
+  'admin.session_linked': 'terhubung',
+  'admin.session_shared': 'bersama',
+  'admin.session_usage': 'Format: /session <telegramId>',
+  'admin.session_not_found': 'ℹ️ Tidak ada data untuk pengguna {telegramId}.',
+  'admin.session': '🔍 Pengguna {telegramId}\n\n' +
+    '🎯 PactSwap: {pactswapUserId}\n' +
+    '💼 Wallet: {wallet}\n' +
+    '🔗 Jenis: {kind}\n' +
+    '🔑 Token sesi: {token}\n' +
+    '⏳ Kedaluwarsa: {expires}\n' +
+    '🕐 Diperbarui: {updatedAt}\n\n' +
+    '🌐 Bahasa: {language} · 🌍 Zona waktu: {timeZone}\n' +
+    '🤖 Auto check-in: {autoCheckIn} · Terakhir: {lastRun}\n' +
+    '🔔 Pengingat: {reminders}',
+  'admin.session_none': 'tidak ada sesi',
+  'admin.token_set': 'ada (disembunyikan)',
+  'admin.refresh_ok': '✅ Login PactSwap diperbarui.\n\n⏳ Kedaluwarsa: {expires}\n🧹 {dropped} sesi bersama dibuat ulang saat dipakai berikutnya.',
+  'admin.refresh_failed': '❌ Login ulang PactSwap gagal. Periksa log bot.',
+  'admin.broadcast_usage': 'Format: /broadcast <pesan>',
+  'admin.broadcast_running': '⏳ Broadcast lain masih berjalan.',
+  'admin.broadcast_started': '📣 Mengirim pengumuman ke {count} pengguna...',
+  'admin.broadcast_done': '📣 Broadcast selesai.\n\n✅ Terkirim: {sent}\n🚫 Diblokir: {blocked}\n❌ Gagal: {failed}\n👥 Total: {total}',
+  'cache.usage': 'Format: /flushcache [{targets}]',
+  'cache.all': 'katalog',
+  'cache.flushed': '🧹 Cache {target} dikosongkan ({count} entri).\n\n📊 Hit: {hits} · Stale: {stale} · Miss: {misses} · Error: {errors}',
+
+  // --- Export ---
+  'export.usage': 'Format: /export csv atau /export json',
+  'export.preparing': '⏳ Menyiapkan ekspor...',
+  'export.caption': '📜 {count} transaksi',
+  'export.failed': '❌ Gagal mengekspor transaksi. Silakan coba lagi.',
+
+  // --- Check-in ---
+  'checkin.status_unavailable': '⚠️ Tidak dapat memeriksa status check-in.\n\nPactSwap API sedang bermasalah. Silakan coba lagi dalam beberapa saat.',
+  'checkin.inactive': '🚫 Check-in sedang tidak aktif.\n\nRule check-in PactSwap belum dibuka atau sudah berakhir.',
+  'checkin.already_done': '✅ Anda sudah check-in!\n\n🕐 Terakhir: {lastCompletedAt}\n⏳ Check-in berikutnya tersedia dalam {countdown}\n📅 ({nextAvailableAt})',
+  'checkin.submitting': '⏳ Mengirim check-in dan menunggu reward...',
+  'checkin.reward': '💰 Reward: +{amount} {symbol}\n🏦 Saldo baru: {balance} {symbol}\n',
+  'checkin.reward_queued': '⏳ Reward sedang diproses PactSwap (antrian).\n   Cek saldo di 👤 Profil Saya beberapa saat lagi.\n',
+  'checkin.success': '✅ Check-in Minggu Ini Berhasil!\n\n🎁 Status: {status}\n{reward}{streak}💼 Wallet: {wallet}...\n\n🔥 Jangan lupa check-in lagi minggu depan!\n⏱️ Reset setiap Minggu',
+  'checkin.conflict': '✅ Anda sudah check-in minggu ini!\n\n⏳ Silakan coba lagi setelah periode check-in berikutnya dimulai.',
+  'checkin.failed': '❌ Gagal melakukan check-in.\n\nPactSwap menolak atau tidak merespons permintaan{http}.\n\nSilakan coba lagi dalam beberapa saat.',
+
+  // --- Automatic check-in / reminders ---
+  'auto.success': '🤖 Auto Check-In Berhasil!\n\n🎁 Status: {status}\n{reward}{streak}',
+  'auto.reward': '💰 Reward: +{amount}\n🏦 Saldo baru: {balance}\n',
+  'auto.reward_queued': '⏳ Reward sedang diproses PactSwap (antrian).\n',
+  'auto.failed': '🤖 Auto Check-In Gagal\n\nPactSwap tidak merespons. Bot akan mencoba lagi dalam 1 jam.',
+  'reminder.text': '🔔 Check-in sudah tersedia lagi!\n\nTekan tombol di bawah untuk check-in sekarang.',
+  'reminder.checkin_now': '✅ Check-In Sekarang',
+  'reminder.snooze_button': '⏰ {hours} jam lagi',
+  'reminder.snooze_invalid': '❌ Durasi tidak valid',
+  'reminder.snoozed_answer': '⏰ Diingatkan lagi dalam {hours} jam',
+  'reminder.snoozed': '⏰ Oke, saya akan mengingatkan lagi dalam {hours} jam.',
+
+  // --- Profile / balances ---
+  'profile.answer': '⏳ Mengambil profil...',
+  'profile.text': '👤 Profil Anda\n\n📛 Nama: {name}\n🆔 Telegram: {telegramId}\n🎯 PactSwap: {pactswapUserId}...\n💼 Wallet: {wallet}...\n\n{balances}\n📊 Transaksi: {entryCount} kali\n🕐 Diperbarui: {updatedAt}\n\n{streak}\n{badges}\n🏆 Status: Aktif',
+  'profile.failed': '❌ Gagal memuat profil. Silakan coba lagi.',
+  'balance.other': 'Lainnya',
+  'balance.empty': '💰 Belum ada saldo',
+
+  // --- Streaks / badges ---
+  'streak.line': '🔥 Streak: {current} {unit} berturut-turut (terbaik: {best})',
+  'streak.unavailable': '🔥 Streak: -',
+  'streak.unit.daily': 'hari',
+  'streak.unit.weekly': 'minggu',
+  'streak.unit.other': 'kali',
+  'streak.badges': '🏅 Badge: {badges}',
+  'streak.new_badge': '🎉 Badge baru: {badge}!',
+  'badge.streak_7': '🔥 Streak 7',
+  'badge.gold': '🥇 Gold Badge',
+
+  // --- Group chats / leaderboard ---
+  'group.welcome': '👋 Halo! Perintah di grup ini:\n🏆 /leaderboard - Peringkat anggota dengan wallet terhubung\n✅ /checkin - Check-in, hasilnya dikirim lewat chat pribadi\n\nAnggota baru tampil setelah mengirim perintah di grup. Keluar dari peringkat: /leaderboard off',
+  'group.private_only': '🔒 Perintah ini hanya tersedia di chat pribadi, agar data wallet tidak tampil di grup.',
+  'group.open_private': '💬 Buka Chat Pribadi',
+  'group.checkin_sent': '📬 {name}, hasil check-in dikirim lewat chat pribadi.',
+  'group.start_private': '📬 {name}, mulai chat pribadi dengan bot dulu, lalu kirim /checkin lagi.',
+  'leaderboard.answer': '🏆 Memuat leaderboard...',
+  'leaderboard.text': '🏆 Leaderboard {group}\n\n{list}\n\n👥 Peringkat: {ranked} anggota terhubung\n🕐 Diperbarui: {updatedAt}\n🙈 Keluar dari peringkat: /leaderboard off',
+  'leaderboard.line': '{position} {name} - {points} {symbol} · 🔥 {streak}',
+  'leaderboard.empty': '🏆 Belum ada anggota dengan wallet terhubung.\n\nHubungkan wallet lewat chat pribadi (/link), lalu kirim /leaderboard di grup ini.',
+  'leaderboard.failed': '❌ Gagal memuat leaderboard. Silakan coba lagi.',
+  'leaderboard.group_only': 'ℹ️ /leaderboard hanya tersedia di grup.\n\n🙈 Keluar dari peringkat grup: /leaderboard off\n🏆 Tampil lagi: /leaderboard on',
+  'leaderboard.opted_out': '🙈 Anda tidak lagi tampil di leaderboard grup. Tampil lagi: /leaderboard on',
+  'leaderboard.opted_in': '🏆 Anda tampil di leaderboard grup (jika wallet Anda terhubung).',
+
+  // --- History ---
+  'history.answer': '📜 Memuat riwayat...',
+  'history.direction.a': 'Semua',
+  'history.direction.c': 'Kredit',
+  'history.direction.d': 'Debit',
+  'history.range.a': 'Semua',
+  'history.range.7': '7 hari',
+  'history.range.30': '30 hari',
+  'history.range.90': '90 hari',
+  'history.currency_all': 'Semua',
+  'history.empty': 'Tidak ada transaksi untuk filter ini',
+  'history.text': '📜 Riwayat Transaksi ({page}/{totalPages})\n\n🔎 Arah: {direction} · Mata uang: {currency} · Periode: {range}\n📊 {shown} dari {total} transaksi{truncated}\n\n{list}\n\n💾 Ekspor: /export csv atau /export json',
+  'history.truncated': '⚠️ Hanya {count} transaksi terbaru yang dimuat - transaksi yang lebih lama tidak ikut',
+  'history.failed': '❌ Gagal memuat riwayat transaksi. Silakan coba lagi.',
+
+  // --- Quests ---
+  'quests.answer': '🎯 Memuat quests...',
+  'quests.empty': 'Tidak ada quests yang tersedia saat ini',
+  'quests.text': '🎯 Quests Tersedia ({page}/{totalPages})\n\n{list}\n\n💡 Pilih quest untuk melihat detail dan menyelesaikannya!',
+  'quests.failed': '❌ Gagal memuat quests. Silakan coba lagi.',
+  'quest.answer': '🎯 Memuat quest...',
+  'quest.step.social': 'Selesaikan tugas {platform} terlebih dahulu',
+  'quest.step.referral': 'Ajak teman mendaftar dengan link referral Anda',
+  'quest.step.link': 'Buka link quest terlebih dahulu',
+  'quest.status.inactive': '🚫 Quest tidak aktif',
+  'quest.status.done': '✅ Sudah selesai',
+  'quest.status.done_again': '✅ Sudah selesai\n⏳ Tersedia lagi dalam {countdown}',
+  'quest.status.todo': '⬜ Belum selesai',
+  'quest.complete_button': '✅ Selesaikan',
+  'quest.open_link': '🔗 Buka Link',
+  'quest.back_quests': '🔙 Kembali ke Quests',
+  'quest.back_quest': '🔙 Kembali ke Quest',
+  'quest.reward_line': '💰 Reward: +{amount} PACT\n',
+  'quest.detail': '🎯 {name}\n\n{description}💰 Reward: +{amount} PACT\n📊 Status: {status}\n{step}',
+  'quest.step_line': '\n👉 Langkah: {step}',
+  'quest.failed': '❌ Gagal memuat quest. Silakan coba lagi.',
+  'quest.not_completable': '❌ Quest ini tidak bisa diselesaikan langsung dari bot.',
+  'quest.submitting': '⏳ Mengirim quest dan menunggu reward...',
+  'quest.reward': '💰 Reward: +{amount} PACT\n🏦 Saldo baru: {balance} PACT',
+  'quest.reward_queued': '⏳ Reward sedang diproses PactSwap (antrian).',
+  'quest.sent': '✅ Quest "{name}" dikirim!\n\n🎁 Status: {status}\n{reward}',
+  'quest.complete_failed': '❌ Gagal menyelesaikan quest{http}.\n\nSilakan coba lagi dalam beberapa saat.',
+
+  // --- Exclusive access ---
+  'exclusive.answer': '⭐ Memuat exclusive access...',
+  'exclusive.reward': '   💰 Reward: +{amount} PACT\n',
+  'exclusive.empty_page': 'Tidak ada exclusive access lagi di halaman ini',
+  'exclusive.empty': 'Tidak ada exclusive access yang tersedia saat ini',
+  'exclusive.text': '⭐ Exclusive Access (hal. {page})\n\n{list}\n\n✨ Bonus akses eksklusif tersedia untuk member spesial!',
+  'exclusive.failed': '❌ Gagal memuat exclusive access. Silakan coba lagi.',
+
+  // --- Status ---
+  'status.answer': '📊 Mengambil status...',
+  'status.line': '📍 Status: {status}',
+  'status.empty': '📍 Belum ada data check-in',
+  'status.text': '📊 Status Check-In Anda\n\n👤 Telegram: {telegramId}\n💼 Wallet: {wallet}...\n\n{list}\n\n💡 Jangan lupa check-in setiap minggu!',
+  'status.failed': '❌ Gagal memuat status. Silakan coba lagi.',
+
+  // --- Settings ---
+  'settings.answer': '⚙️ Pengaturan',
+  'settings.text': '⚙️ Pengaturan\n\n🤖 Auto Check-In: {autoCheckIn}\n🕐 Jendela waktu: {window}\n{lastRun}\n🔔 Pengingat: {reminders}\n🌙 Jam tenang: {quiet}\n🌍 Zona waktu: {timeZone} (ubah dengan /timezone)\n🌐 Bahasa: {language}\n\n💡 Auto check-in mengirim check-in otomatis; pengingat hanya memberi notifikasi.',
+  'settings.last_run': '📅 Terakhir: {date} ({outcome})\n',
+  'settings.window.any': '🕐 Kapan saja',
+  'settings.quiet.off': '🔔 Tanpa jam tenang',
+  'settings.auto_off_button': '⏸️ Matikan Auto Check-In',
+  'settings.auto_on_button': '▶️ Aktifkan Auto Check-In',
+  'settings.reminders_off_button': '🔕 Matikan Pengingat',
+  'settings.reminders_on_button': '🔔 Aktifkan Pengingat',
+  'settings.auto_disabled': '⏸️ Auto check-in dimatikan',
+  'settings.auto_enabled': '▶️ Auto check-in diaktifkan',
+  'settings.window_invalid': '❌ Jendela waktu tidak valid',
+  'settings.window_saved': '🕐 Jendela waktu disimpan',
+  'settings.reminders_disabled': '🔕 Pengingat dimatikan',
+  'settings.reminders_enabled': '🔔 Pengingat diaktifkan',
+  'settings.quiet_invalid': '❌ Jam tenang tidak valid',
+  'settings.quiet_saved': '🌙 Jam tenang disimpan',
+
+  // --- Help ---
+  'help.answer': '❓ Bantuan',
+  'help.text':
+    '❓ Bantuan\n\n' +
+    '📋 Fitur Bot:\n' +
+    '✅ Check-In - Lakukan check-in harian untuk poin\n' +
+    '👤 Profil - Lihat profil dan statistik Anda\n' +
+    '📊 Status - Cek status check-in terbaru\n\n' +
+    '🎯 Cara Kerja:\n' +
+    '1. Klik tombol "Check-In Harian"\n' +
+    '2. Check-in setiap hari untuk poin rewards\n' +
+    '3. Kumpulkan poin dan naik level\n' +
+    '4. Dapatkan reward eksklusif!\n\n' +
+    '🎁 Bonus Streak (check-in berturut-turut sesuai jadwal rule):\n' +
+    'Streak 7 = 🔥 Badge Streak 7\n' +
+    'Streak 30 = 🥇 Gold Badge\n' +
+    'Streak dan badge tampil di 👤 Profil\n\n' +
+    '👥 Grup: tambahkan bot ke grup untuk /leaderboard dan /checkin\n' +
+    '🌐 Bahasa: /language\n\n' +
+    '💬 Pertanyaan? Hubungi support.',
+};
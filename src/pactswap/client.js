@@ -0,0 +1,242 @@
+// ======== PactSwap API Client ========
+// All loyalty endpoints behind one class. Base URL, IDs, auth provider and
+// transport are injected, so the client runs unchanged against the real hub
+// or the local mock server (src/pactswap/mockServer.js).
+// Methods resolve with normalized results and reject with PactSwapError;
+// nothing is logged here - callers decide how to report failures.
+
+import {
+  retryWithBackoff, isRetryableError, isIdempotentMethod, isUnsentError, createRetryPolicy, DEFAULT_RETRY_POLICY,
+} from '../utils/retryLogic.js';
+import { createCircuitBreaker } from '../utils/circuitBreaker.js';
+import { readPage } from '../utils/pagination.js';
+import { PactSwapError, PACTSWAP_ERROR_CODES } from './errors.js';
+
+/**
+ * @typedef {Object} Page
+ * @property {Array<Object>} items
+ * @property {boolean} hasNextPage
+ *
+ * @typedef {Object} CompletionResult
+ * @property {string} message - Server message ("Completion request added to queue")
+ * @property {Object} data - Raw `data` payload (may carry the reward amount)
+ *
+ * @typedef {Object} AuthProvider
+ * @property {() => Promise<Object>} getAuthHeaders - Cookie/Authorization headers
+ * @property {() => void} invalidate - Drop credentials so the next call re-logs in
+ *
+ * @typedef {Object} Transport
+ * @property {(request: {method: string, url: string, params?: Object, data?: Object, headers?: Object})
+ *   => Promise<{status: number, data: any, headers: Object}>} request
+ */
+
+export class PactSwapClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.websiteId
+   * @param {string} options.organizationId
+   * @param {Transport} options.transport - Default transport (axios)
+   * @param {Transport} [options.protectedTransport] - Tried first for Cloudflare-protected pages
+   * @param {AuthProvider} [options.auth]
+   * @param {Object} [options.retryPolicy] - createRetryPolicy() result (or attempt count)
+   * @param {Object|null} [options.breaker] - createCircuitBreaker() result, null disables it
+   * @param {Object} [options.observer] - Optional {onRequest, onRetry, onFallback} callbacks (metrics)
+   */
+  constructor({
+    websiteId,
+    organizationId,
+    transport,
+    protectedTransport = null,
+    auth = null,
+    retryPolicy = DEFAULT_RETRY_POLICY,
+    breaker = createCircuitBreaker(),
+    observer = null,
+  }) {
+    this.websiteId = websiteId;
+    this.organizationId = organizationId;
+    this.transport = transport;
+    this.protectedTransport = protectedTransport;
+    this.auth = auth;
+    this.retryPolicy = retryPolicy;
+    this.breaker = breaker;
+    this.observer = observer;
+  }
+
+  // Same transports, retry policy and circuit breaker; requests carry another
+  // session's headers (a user who linked their own wallet)
+  withAuth(auth) {
+    const client = Object.create(this);
+    client.auth = auth;
+    return client;
+  }
+
+  scope(params = {}) {
+    return { websiteId: this.websiteId, organizationId: this.organizationId, ...params };
+  }
+
+  // One HTTP exchange with auth headers; re-logs in once on 401
+  async send(method, url, { params, data, transport = this.transport } = {}) {
+    const endpoint = `${method.toUpperCase()} ${url}`;
+
+    const attempt = async (isRetry) => {
+      let headers = {};
+      if (this.auth) {
+        try {
+          headers = await this.auth.getAuthHeaders();
+        } catch (error) {
+          throw new PactSwapError(PACTSWAP_ERROR_CODES.AUTH, `${endpoint}: ${error.message}`, { endpoint, cause: error });
+        }
+      }
+
+      let response;
+      try {
+        response = await transport.request({ method, url, params, data, headers });
+      } catch (error) {
+        throw new PactSwapError(PACTSWAP_ERROR_CODES.NETWORK, `${endpoint}: ${error.message}`, { endpoint, cause: error });
+      }
+
+      if (response.status === 401 && this.auth && !isRetry) {
+        this.auth.invalidate();
+        return attempt(true);
+      }
+      if (response.status >= 400) {
+        throw PactSwapError.fromResponse(endpoint, response);
+      }
+      return response;
+    };
+
+    return attempt(false);
+  }
+
+  // Circuit key per endpoint: IDs in the path collapse to ":id"
+  static endpointKey(method, url) {
+    return `${method.toUpperCase()} ${url.replace(/\/[0-9a-f]{8}-[0-9a-f-]{27}|\/\d+(?=\/|$)/gi, '/:id')}`;
+  }
+
+  // send() under the retry policy and the endpoint's circuit breaker.
+  // With `protected: true` each attempt tries the protected transport first
+  // and falls back to the default one inside the same attempt.
+  // Non-idempotent calls (the completion POST) are only retried when the
+  // connection was never made: a timeout or 5xx may still have completed the
+  // rule, and a repeat would double-submit or turn that success into a 409.
+  async request(method, url, options = {}) {
+    const key = PactSwapClient.endpointKey(method, url);
+
+    const attempt = async () => {
+      if (this.breaker && !this.breaker.allow(key)) {
+        const seconds = Math.ceil(this.breaker.retryInMs(key) / 1000);
+        throw new PactSwapError(
+          PACTSWAP_ERROR_CODES.UNAVAILABLE,
+          `${key} is failing - paused for ${seconds}s`,
+          { endpoint: key }
+        );
+      }
+      const startedAt = Date.now();
+      try {
+        const response = await this.sendWithFallback(method, url, options);
+        this.breaker?.recordSuccess(key);
+        this.observer?.onRequest?.({ endpoint: key, ok: true, durationMs: Date.now() - startedAt });
+        return response;
+      } catch (error) {
+        // 4xx answers mean PactSwap is up; only transient failures trip the breaker
+        if (isRetryableError(error)) this.breaker?.recordFailure(key);
+        else this.breaker?.recordSuccess(key);
+        this.observer?.onRequest?.({ endpoint: key, ok: false, durationMs: Date.now() - startedAt, error });
+        throw error;
+      }
+    };
+
+    return retryWithBackoff(attempt, this.retryPolicyFor(method), {
+      onRetry: info => this.observer?.onRetry?.({ endpoint: key, ...info }),
+    });
+  }
+
+  retryPolicyFor(method) {
+    if (isIdempotentMethod(method)) return this.retryPolicy;
+    const policy = typeof this.retryPolicy === 'number'
+      ? createRetryPolicy({ maxAttempts: this.retryPolicy })
+      : this.retryPolicy;
+    return { ...policy, isRetryable: error => isUnsentError(error) && policy.isRetryable(error) };
+  }
+
+  async sendWithFallback(method, url, { protected: useProtected = false, ...options } = {}) {
+    if (useProtected && this.protectedTransport) {
+      try {
+        return await this.send(method, url, { ...options, transport: this.protectedTransport });
+      } catch (error) {
+        // Fall back to the regular transport
+        this.observer?.onFallback?.({ endpoint: PactSwapClient.endpointKey(method, url), error });
+      }
+    }
+    return this.send(method, url, options);
+  }
+
+  async fetchUserProfile(userId) {
+    const response = await this.request('get', `/user/${userId}`, { protected: true });
+    return response.data?.data || response.data;
+  }
+
+  /** @returns {Promise<CompletionResult>} */
+  async completeRule(ruleId) {
+    // Endpoint: POST /loyalty/rules/{loyaltyRuleId}/complete, body {}
+    const response = await this.request('post', `/loyalty/rules/${ruleId}/complete`, { data: {} });
+    return {
+      message: response.data?.message || 'Completion submitted',
+      data: response.data?.data || {},
+    };
+  }
+
+  /** @returns {Promise<Array<Object>>} Rule status records for the user */
+  async getCheckInStatus(userId) {
+    const response = await this.request('get', '/loyalty/rules/status', { params: this.scope({ userId }) });
+    return response.data?.data || [];
+  }
+
+  /** @returns {Promise<Object|null>} The rule, or null when it does not exist */
+  async getLoyaltyRule(ruleId) {
+    try {
+      const response = await this.request('get', `/loyalty/rules/${ruleId}`, { params: this.scope() });
+      return response.data?.data || response.data || null;
+    } catch (error) {
+      if (error.code === PACTSWAP_ERROR_CODES.NOT_FOUND) return null;
+      throw error;
+    }
+  }
+
+  /** @returns {Promise<Array<Object>>} */
+  async getLoyaltyCurrencies() {
+    const response = await this.request('get', '/loyalty/currencies', { params: this.scope({ limit: 10 }) });
+    return response.data?.data || [];
+  }
+
+  /** @returns {Promise<Page>} Newest entries first */
+  async getTransactionEntriesPage(userId, { offset = 0, limit = 100 } = {}) {
+    const response = await this.request('get', '/loyalty/transaction_entries', {
+      params: this.scope({
+        limit,
+        offset,
+        orderBy: 'createdAt',
+        userId,
+        includeLastCompleted: true,
+        hideFailedMints: true,
+      }),
+    });
+    return readPage(response.data, limit);
+  }
+
+  /** @returns {Promise<Page>} */
+  async getLoyaltyRuleGroupsPage({ offset = 0, limit = 50 } = {}) {
+    const response = await this.request('get', '/loyalty/rule_groups', {
+      params: this.scope({ limit, offset, isActive: true }),
+    });
+    return readPage(response.data, limit);
+  }
+
+  /** @returns {Promise<Page>} */
+  async getSpecialLoyaltyRulesPage({ offset = 0, limit = 10 } = {}) {
+    const response = await this.request('get', '/loyalty/rules', {
+      params: this.scope({ limit, offset, isSpecial: true }),
+    });
+    return readPage(response.data, limit);
+  }
+}
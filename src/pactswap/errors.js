@@ -0,0 +1,46 @@
+// ======== PactSwap API Errors ========
+
+export const PACTSWAP_ERROR_CODES = {
+  NETWORK: 'NETWORK', // No response (DNS, timeout, connection reset)
+  AUTH: 'AUTH', // Could not obtain credentials
+  UNAUTHORIZED: 'UNAUTHORIZED', // 401 even after re-login
+  NOT_FOUND: 'NOT_FOUND', // 404
+  CONFLICT: 'CONFLICT', // 409 (e.g. rule already completed)
+  RATE_LIMITED: 'RATE_LIMITED', // 429
+  CLIENT: 'CLIENT', // Other 4xx
+  SERVER: 'SERVER', // 5xx
+  UNAVAILABLE: 'UNAVAILABLE', // Circuit open - endpoint failing, not sent
+};
+
+function codeForStatus(status) {
+  if (status === 401) return PACTSWAP_ERROR_CODES.UNAUTHORIZED;
+  if (status === 404) return PACTSWAP_ERROR_CODES.NOT_FOUND;
+  if (status === 409) return PACTSWAP_ERROR_CODES.CONFLICT;
+  if (status === 429) return PACTSWAP_ERROR_CODES.RATE_LIMITED;
+  if (status >= 500) return PACTSWAP_ERROR_CODES.SERVER;
+  return PACTSWAP_ERROR_CODES.CLIENT;
+}
+
+export class PactSwapError extends Error {
+  constructor(code, message, { status = null, endpoint = null, headers = {}, body = null, cause = null } = {}) {
+    super(message);
+    this.name = 'PactSwapError';
+    this.code = code;
+    this.status = status;
+    this.endpoint = endpoint;
+    this.headers = headers;
+    this.body = body;
+    this.cause = cause;
+    // Shape kept compatible with axios errors (`error.response?.status`)
+    this.response = status ? { status, headers, data: body } : undefined;
+  }
+
+  static fromResponse(endpoint, response) {
+    const serverMessage = response.data?.message || response.data?.error;
+    return new PactSwapError(
+      codeForStatus(response.status),
+      `${endpoint} failed with HTTP ${response.status}${serverMessage ? `: ${serverMessage}` : ''}`,
+      { status: response.status, endpoint, headers: response.headers || {}, body: response.data }
+    );
+  }
+}
@@ -0,0 +1,258 @@
+// ======== Local PactSwap Mock Server ========
+// In-memory stand-in for the PactSwap hub API: SIWE auth, loyalty rules,
+// rule groups, currencies, status and transaction entries.
+//
+//   npm run mock:pactswap            # listens on MOCK_PACTSWAP_PORT (4010)
+//   PACTSWAP_API_URL=http://127.0.0.1:4010/api npm start
+
+import http from 'http';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import { ethers } from 'ethers';
+import { logger } from '../utils/logger.js';
+
+const SESSION_COOKIE = 'pactswap_session';
+const SESSION_TTL_S = 7 * 24 * 60 * 60;
+const COOLDOWN_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  once: Infinity,
+};
+
+export function createDefaultSeed() {
+  const currencyId = 'b7a1a3a4-0c55-4f1f-9a59-3a5e2b7d6f10';
+  const rule = (id, name, amount, extra = {}) => ({
+    id, name, amount: String(amount), loyaltyCurrencyId: currencyId, isActive: true, ...extra,
+  });
+  const checkIn = rule('6a796160-bb9e-45f8-85a6-90747d44423e', 'Weekly Check-In', 10, { type: 'check_in', frequency: 'weekly' });
+  const quests = [
+    rule('1f0e4a52-3f7c-4d3a-9a38-6c1f9e0e2a01', 'Daily Claim', 2, { type: 'claim', frequency: 'daily' }),
+    rule('1f0e4a52-3f7c-4d3a-9a38-6c1f9e0e2a02', 'Follow Pact Swap', 5, {
+      type: 'twitter_follow', frequency: 'once', link: 'https://x.com/pactswap',
+    }),
+    rule('1f0e4a52-3f7c-4d3a-9a38-6c1f9e0e2a03', 'Join Discord', 5, { type: 'discord_join', frequency: 'once' }),
+    rule('1f0e4a52-3f7c-4d3a-9a38-6c1f9e0e2a04', 'Refer a Friend', 20, { type: 'referral' }),
+  ];
+  const special = [
+    rule('9c3d2b1a-5e4f-4a6b-8c7d-0e1f2a3b4c5d', 'Special Access Rule', 1, {
+      isSpecial: true, description: 'Auto-claimed bonus for special members', type: 'custom',
+    }),
+  ];
+
+  return {
+    currencies: [{ id: currencyId, symbol: 'PACT', name: 'Pact Points' }],
+    rules: [checkIn, ...quests, ...special],
+    ruleGroups: [
+      { id: 'a0c1e2f3-0000-4000-8000-000000000001', name: 'Main Quests', loyaltyGroupItems: [checkIn, ...quests].map(loyaltyRule => ({ loyaltyRule })) },
+    ],
+    users: {}, // walletAddress (lowercase) → {id, walletAddress}
+    entries: [], // Transaction entries, oldest first
+    statuses: [], // {userId, loyaltyRuleId, status, lastCompletedAt}
+  };
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';').map(part => part.trim().split('=')).filter(([name]) => name));
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function pageOf(items, query) {
+  const limit = Number(query.get('limit') || 10);
+  const offset = Number(query.get('offset') || 0);
+  return { data: items.slice(offset, offset + limit), hasNextPage: offset + limit < items.length };
+}
+
+export function createMockPactSwapServer({ seed = createDefaultSeed(), basePath = '/api', requireAuth = true } = {}) {
+  const state = seed;
+  const nonces = new Set();
+  const sessions = new Map(); // sessionId → {userId, walletAddress, expires}
+  const requests = []; // Request log for assertions
+  const failures = []; // Injected errors: {pattern, method, status, message, times}
+
+  function userForAddress(address) {
+    const key = address.toLowerCase();
+    if (!state.users[key]) {
+      state.users[key] = { id: crypto.randomUUID(), walletAddress: ethers.getAddress(address) };
+    }
+    return state.users[key];
+  }
+
+  function currentSession(req) {
+    const cookieId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const bearer = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const session = sessions.get(cookieId) || sessions.get(bearer);
+    if (!session || session.expires < Date.now()) return null;
+    return session;
+  }
+
+  function completeRule(session, ruleId, res) {
+    const rule = state.rules.find(candidate => candidate.id === ruleId);
+    if (!rule) return sendJson(res, 404, { message: 'Rule not found' });
+    if (!rule.isActive) return sendJson(res, 400, { message: 'Rule is not active' });
+
+    const status = state.statuses.find(s => s.userId === session.userId && s.loyaltyRuleId === ruleId);
+    const cooldown = COOLDOWN_MS[rule.frequency] ?? COOLDOWN_MS.weekly;
+    if (status && Date.now() - new Date(status.lastCompletedAt).getTime() < cooldown) {
+      return sendJson(res, 409, { message: 'Rule already completed' });
+    }
+
+    const now = new Date().toISOString();
+    if (status) {
+      status.lastCompletedAt = now;
+    } else {
+      state.statuses.push({ userId: session.userId, loyaltyRuleId: ruleId, status: 'completed', lastCompletedAt: now });
+    }
+    state.entries.push({
+      id: crypto.randomUUID(),
+      userId: session.userId,
+      amount: rule.amount,
+      direction: 'credit',
+      loyaltyCurrencyId: rule.loyaltyCurrencyId,
+      loyaltyRuleId: rule.id,
+      createdAt: now,
+    });
+    return sendJson(res, 200, { message: 'Completion request added to queue', data: {} });
+  }
+
+  async function handle(req, res, body) {
+    const url = new URL(req.url, 'http://mock');
+    if (!url.pathname.startsWith(basePath)) return sendJson(res, 404, { message: 'Not found' });
+    const path = url.pathname.substring(basePath.length);
+    const query = url.searchParams;
+    requests.push({ method: req.method, path, query: Object.fromEntries(query), headers: req.headers });
+
+    const failure = failures.find(candidate =>
+      (!candidate.method || candidate.method === req.method) &&
+      (candidate.pattern instanceof RegExp ? candidate.pattern.test(path) : candidate.pattern === path));
+    if (failure) {
+      if (--failure.times <= 0) failures.splice(failures.indexOf(failure), 1);
+      return sendJson(res, failure.status, { message: failure.message });
+    }
+
+    // --- Auth ---
+    if (req.method === 'GET' && path === '/auth/nonce') {
+      const nonce = crypto.randomBytes(8).toString('hex');
+      nonces.add(nonce);
+      return sendJson(res, 200, { nonce });
+    }
+    if (req.method === 'POST' && path === '/auth/verify') {
+      const { message, signature } = body || {};
+      const nonce = /Nonce: (\w+)/.exec(message || '')?.[1];
+      if (!nonce || !nonces.delete(nonce)) return sendJson(res, 400, { message: 'Invalid nonce' });
+      let address;
+      try {
+        address = ethers.verifyMessage(message, signature);
+      } catch {
+        return sendJson(res, 401, { message: 'Invalid signature' });
+      }
+      if (address.toLowerCase() !== message.split('\n')[1].toLowerCase()) {
+        return sendJson(res, 401, { message: 'Signature does not match address' });
+      }
+      const user = userForAddress(address);
+      const sessionId = crypto.randomBytes(16).toString('hex');
+      const expires = Date.now() + SESSION_TTL_S * 1000;
+      sessions.set(sessionId, { userId: user.id, walletAddress: user.walletAddress, expires });
+      return sendJson(res, 200, { ok: true }, {
+        'Set-Cookie': `${SESSION_COOKIE}=${sessionId}; Path=/; Max-Age=${SESSION_TTL_S}; HttpOnly`,
+      });
+    }
+    if (req.method === 'GET' && path === '/auth/session') {
+      const session = currentSession(req);
+      if (!session) return sendJson(res, 401, { message: 'Not signed in' });
+      return sendJson(res, 200, {
+        user: { id: session.userId, walletAddress: session.walletAddress },
+        expires: new Date(session.expires).toISOString(),
+      });
+    }
+
+    // --- Loyalty ---
+    const session = currentSession(req);
+    if (requireAuth && !session) return sendJson(res, 401, { message: 'Unauthorized' });
+
+    let match;
+    if (req.method === 'GET' && (match = /^\/user\/([\w-]+)$/.exec(path))) {
+      const user = Object.values(state.users).find(candidate => candidate.id === match[1]);
+      return user ? sendJson(res, 200, { data: user }) : sendJson(res, 404, { message: 'User not found' });
+    }
+    if (req.method === 'POST' && (match = /^\/loyalty\/rules\/([\w-]+)\/complete$/.exec(path))) {
+      if (!session) return sendJson(res, 401, { message: 'Unauthorized' });
+      return completeRule(session, match[1], res);
+    }
+    if (req.method === 'GET' && path === '/loyalty/rules/status') {
+      return sendJson(res, 200, { data: state.statuses.filter(s => s.userId === query.get('userId')) });
+    }
+    if (req.method === 'GET' && (match = /^\/loyalty\/rules\/([\w-]+)$/.exec(path))) {
+      const rule = state.rules.find(candidate => candidate.id === match[1]);
+      return rule ? sendJson(res, 200, { data: rule }) : sendJson(res, 404, { message: 'Rule not found' });
+    }
+    if (req.method === 'GET' && path === '/loyalty/rules') {
+      const rules = query.get('isSpecial') === 'true' ? state.rules.filter(rule => rule.isSpecial) : state.rules;
+      return sendJson(res, 200, pageOf(rules, query));
+    }
+    if (req.method === 'GET' && path === '/loyalty/rule_groups') {
+      return sendJson(res, 200, pageOf(state.ruleGroups, query));
+    }
+    if (req.method === 'GET' && path === '/loyalty/currencies') {
+      return sendJson(res, 200, pageOf(state.currencies, query));
+    }
+    if (req.method === 'GET' && path === '/loyalty/transaction_entries') {
+      const entries = state.entries.filter(entry => entry.userId === query.get('userId')).reverse();
+      return sendJson(res, 200, pageOf(entries, query));
+    }
+
+    return sendJson(res, 404, { message: 'Not found' });
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        return sendJson(res, 400, { message: 'Invalid JSON' });
+      }
+      handle(req, res, body).catch(error => sendJson(res, 500, { message: error.message }));
+    });
+  });
+
+  return {
+    server,
+    state,
+    requests,
+
+    // Fail the next `times` requests whose path (without basePath) matches
+    failNext(pattern, { method = null, status = 500, message = 'Mock failure', times = 1 } = {}) {
+      failures.push({ pattern, method, status, message, times });
+    },
+
+    clearFailures() {
+      failures.length = 0;
+    },
+
+    // Resolves with the API base URL (e.g. http://127.0.0.1:4010/api)
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise(resolve => {
+        server.listen(port, host, () => {
+          resolve(`http://${host}:${server.address().port}${basePath}`);
+        });
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
+
+// Run standalone: node src/pactswap/mockServer.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = createMockPactSwapServer();
+  const url = await mock.listen(Number(process.env.MOCK_PACTSWAP_PORT || 4010));
+  logger.info(`🧪 PactSwap mock API listening on ${url}`);
+}
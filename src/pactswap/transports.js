@@ -0,0 +1,42 @@
+// ======== PactSwap HTTP Transports ========
+// A transport sends one request and resolves with {status, data, headers}
+// for every HTTP status; it only rejects when no response arrived.
+
+import cloudscraper from 'cloudscraper';
+
+export function createAxiosTransport(axiosInstance) {
+  return {
+    name: 'axios',
+    async request({ method, url, params, data, headers }) {
+      const response = await axiosInstance.request({
+        method,
+        url,
+        params,
+        data,
+        headers,
+        validateStatus: () => true,
+        retry: false, // PactSwapClient runs the retry loop (see wrapAPIClient)
+      });
+      return { status: response.status, data: response.data, headers: response.headers };
+    },
+  };
+}
+
+// Cloudflare-protected requests through cloudscraper
+export function createCloudscraperTransport({ baseURL, headers: defaultHeaders = {} }) {
+  return {
+    name: 'cloudscraper',
+    async request({ method, url, params, data, headers }) {
+      const response = await cloudscraper({
+        method: method.toUpperCase(),
+        uri: `${baseURL}${url}`,
+        qs: params,
+        json: data ?? true,
+        headers: { ...defaultHeaders, ...headers },
+        resolveWithFullResponse: true,
+        simple: false,
+      });
+      return { status: response.statusCode, data: response.body, headers: response.headers };
+    },
+  };
+}
@@ -0,0 +1,51 @@
+// ======== Quest Rule Classification ========
+// Decides whether a loyalty rule can be completed straight from the bot
+// (POST /loyalty/rules/{id}/complete) or needs an external step first.
+
+const SOCIAL_PLATFORMS = ['twitter', 'x_', 'discord', 'telegram', 'youtube', 'instagram', 'tiktok'];
+const SELF_COMPLETABLE = /check_?in|claim|custom|code/;
+
+function ruleType(rule) {
+  return String(rule.type || rule.ruleType || '').toLowerCase();
+}
+
+function ruleLink(rule) {
+  return rule.link || rule.url || rule.metadata?.link || rule.metadata?.url || null;
+}
+
+// → { completable, step } where step describes the required external action
+export function classifyRule(rule) {
+  const type = ruleType(rule);
+  const link = ruleLink(rule);
+
+  const platform = SOCIAL_PLATFORMS.find(name => type.includes(name));
+  if (platform) {
+    return {
+      completable: false,
+      step: { kind: 'social', platform: platform.replace('_', ''), url: link },
+    };
+  }
+  if (type.includes('referral') || type.includes('refer')) {
+    return { completable: false, step: { kind: 'referral', url: link } };
+  }
+  if (link && !SELF_COMPLETABLE.test(type)) {
+    return { completable: false, step: { kind: 'link', url: link } };
+  }
+  if (!type || SELF_COMPLETABLE.test(type)) {
+    return { completable: true, step: null };
+  }
+  return { completable: false, step: { kind: 'external', url: link } };
+}
+
+// Flattens rule groups into [{group, rule}] in display order
+export function flattenRuleGroups(ruleGroups) {
+  const rules = [];
+  (ruleGroups || []).forEach(group => {
+    (group.loyaltyGroupItems || []).forEach(item => {
+      if (item.loyaltyRule) {
+        rules.push({ group, rule: item.loyaltyRule });
+      }
+    });
+  });
+  return rules;
+}
@@ -0,0 +1,186 @@
+// ======== Automatic Scheduled Check-In ========
+// Periodically submits check-in for opted-in users once the rule is
+// available again and their preferred time window is open.
+// Job state is kept per PactSwap account (several Telegram users may share
+// one) in the store so it survives restarts. Several bot processes share it:
+// each run takes a per-account lock, re-reads the store, and flushes its job
+// state before releasing the lock, so the next process sees a submit even
+// while PactSwap still has the completion queued.
+
+import { ELIGIBILITY } from '../checkin/eligibility.js';
+import { getLocalHour, isHourInWindow } from '../utils/time.js';
+import { logger, withLogContext } from '../utils/logger.js';
+
+const JOBS = 'autoCheckInJobs';
+const RETRY_AFTER_FAILURE_MS = 60 * 60 * 1000; // 1 hour
+// Check-in lock of a PactSwap account, shared with the check-in button and
+// /checkin: at most one submit per account at a time, whoever starts it
+export const CHECKIN_LOCK_TTL_MS = 10 * 60 * 1000;
+
+export function checkInLockKey(pactswapUserId) {
+  return `checkin-${pactswapUserId}`;
+}
+// A queued completion may not show up in the status yet: no new try before this
+const AFTER_SUBMIT_MS = 60 * 60 * 1000; // 1 hour
+
+export const DEFAULT_AUTO_CHECKIN = {
+  enabled: false,
+  windowStart: 0, // Local hour, inclusive
+  windowEnd: 24, // Local hour, exclusive (0-24 = any time)
+};
+
+export function getAutoCheckInSettings(settings) {
+  return { ...DEFAULT_AUTO_CHECKIN, ...(settings.autoCheckIn || {}) };
+}
+
+export function createAutoCheckInScheduler({
+  sessions,
+  lockManager,
+  getSession,
+  checkEligibility,
+  submitCheckIn,
+  notify,
+  intervalMs = 5 * 60 * 1000,
+  defaultTimezone = 'UTC',
+}) {
+  let timer = null;
+  let running = false;
+  // Users without a session are retried after a while (in memory: no account to key it by)
+  const noSessionUntil = new Map();
+
+  function getJob(pactswapUserId) {
+    if (!pactswapUserId) return {};
+    return sessions.store.get(JOBS, String(pactswapUserId)) || {};
+  }
+
+  function saveJob(pactswapUserId, patch) {
+    return sessions.store.set(JOBS, String(pactswapUserId), { ...getJob(pactswapUserId), ...patch });
+  }
+
+  function isDue(telegramUserId, settings, now) {
+    const autoCheckIn = getAutoCheckInSettings(settings);
+    if (!autoCheckIn.enabled) return false;
+
+    const hour = getLocalHour(now, settings.timezone || defaultTimezone);
+    if (!isHourInWindow(hour, autoCheckIn.windowStart, autoCheckIn.windowEnd % 24)) return false;
+
+    if ((noSessionUntil.get(telegramUserId) ?? 0) > now.getTime()) return false;
+
+    // Users without a session yet are resolved (and checked) in runForUser
+    const job = getJob(sessions.getSession(telegramUserId)?.pactswapUserId);
+    return !job.nextCheckAt || new Date(job.nextCheckAt).getTime() <= now.getTime();
+  }
+
+  // `handled` holds the accounts this run already dealt with: users sharing
+  // one account get a single submit
+  async function runForUser(telegramUserId, handled) {
+    const session = await getSession(telegramUserId);
+    if (!session) {
+      noSessionUntil.set(telegramUserId, Date.now() + RETRY_AFTER_FAILURE_MS);
+      return 'no_session';
+    }
+    noSessionUntil.delete(telegramUserId);
+
+    const accountId = session.pactswapUserId;
+    if (handled.has(accountId)) {
+      return 'shared'; // Same account as a user earlier in this run
+    }
+    handled.add(accountId);
+
+    const release = await lockManager.acquire(checkInLockKey(accountId), CHECKIN_LOCK_TTL_MS);
+    if (!release) {
+      return 'locked'; // Another process or a manual check-in is handling this account
+    }
+
+    let result;
+    try {
+      // Another process may have run this account since our due check
+      await sessions.store.reload();
+      const { nextCheckAt } = getJob(accountId);
+      if (nextCheckAt && new Date(nextCheckAt).getTime() > Date.now()) {
+        return 'not_due';
+      }
+
+      // Re-check against PactSwap after taking the lock: the source of truth
+      // if another process already submitted
+      const eligibility = await checkEligibility(session);
+      if (eligibility.state === ELIGIBILITY.ALREADY_DONE) {
+        saveJob(accountId, { nextCheckAt: eligibility.nextAvailableAt });
+        return 'already_done';
+      }
+      if (eligibility.state === ELIGIBILITY.INACTIVE) {
+        saveJob(accountId, { nextCheckAt: new Date(Date.now() + RETRY_AFTER_FAILURE_MS).toISOString() });
+        return 'inactive';
+      }
+
+      result = await submitCheckIn(session);
+      saveJob(accountId, {
+        lastRunAt: new Date().toISOString(),
+        lastOutcome: 'success',
+        // After that the next run re-reads the cooldown from PactSwap
+        nextCheckAt: new Date(Date.now() + AFTER_SUBMIT_MS).toISOString(),
+      });
+    } catch (error) {
+      logger.error(`❌ Auto check-in failed for user ${telegramUserId}`, error);
+      saveJob(accountId, {
+        lastRunAt: new Date().toISOString(),
+        lastOutcome: 'failed',
+        nextCheckAt: new Date(Date.now() + RETRY_AFTER_FAILURE_MS).toISOString(),
+      });
+      await notify(telegramUserId, { ok: false, error }).catch(notifyError => {
+        logger.error(`❌ Could not notify user ${telegramUserId}`, notifyError);
+      });
+      return 'failed';
+    } finally {
+      await sessions.store.flush().catch(error => logger.error('❌ Failed to save auto check-in state', error));
+      await release();
+    }
+
+    // The check-in is saved by now: a failed message must not turn it into a retry
+    await notify(telegramUserId, { ok: true, result, session }).catch(notifyError => {
+      logger.error(`❌ Could not notify user ${telegramUserId}`, notifyError);
+    });
+    return 'submitted';
+  }
+
+  async function runOnce(now = new Date()) {
+    if (running) return [];
+    running = true;
+    try {
+      const dueUsers = sessions.listSettings()
+        .filter(([telegramUserId, settings]) => isDue(telegramUserId, settings, now))
+        .map(([telegramUserId]) => telegramUserId);
+
+      const outcomes = [];
+      const handled = new Set();
+      for (const telegramUserId of dueUsers) {
+        const outcome = await withLogContext({ job: 'autoCheckIn', userId: telegramUserId }, () => runForUser(telegramUserId, handled));
+        outcomes.push([telegramUserId, outcome]);
+      }
+      if (outcomes.length > 0) {
+        logger.info(`⏰ Auto check-in run: ${outcomes.map(([id, outcome]) => `${id}=${outcome}`).join(', ')}`);
+      }
+      return outcomes;
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    runOnce,
+    getJob,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        runOnce().catch(error => logger.error('❌ Auto check-in run failed', error));
+      }, intervalMs);
+      logger.info(`✅ Auto check-in scheduler enabled (every ${Math.round(intervalMs / 1000)}s)`);
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,61 @@
+// ======== Cross-Process Job Locks ========
+// Lock files created with O_EXCL ('wx') so only one bot process runs a job
+// for a given key. Locks older than their TTL are treated as abandoned.
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+function sanitize(name) {
+  return String(name).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+export function createLockManager({ dir = null } = {}) {
+  const memoryLocks = new Map(); // Used when no lock directory is configured
+
+  async function acquireFile(name, ttlMs) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const lockPath = path.join(dir, `${sanitize(name)}.lock`);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const handle = await fs.promises.open(lockPath, 'wx');
+        await handle.writeFile(JSON.stringify({ pid: process.pid, acquiredAt: Date.now(), ttlMs }));
+        await handle.close();
+        return async () => {
+          await fs.promises.rm(lockPath, { force: true });
+        };
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        // Steal the lock only if its holder exceeded the TTL
+        const stat = await fs.promises.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > ttlMs) {
+          logger.warn(`⚠️  Removing stale lock ${lockPath}`);
+          await fs.promises.rm(lockPath, { force: true });
+          continue;
+        }
+        return null;
+      }
+    }
+    return null;
+  }
+
+  function acquireMemory(name, ttlMs) {
+    const heldUntil = memoryLocks.get(name);
+    if (heldUntil && heldUntil > Date.now()) {
+      return null;
+    }
+    memoryLocks.set(name, Date.now() + ttlMs);
+    return async () => {
+      memoryLocks.delete(name);
+    };
+  }
+
+  return {
+    // Resolves to a release function, or null when someone else holds the lock
+    async acquire(name, ttlMs = 10 * 60 * 1000) {
+      return dir ? acquireFile(name, ttlMs) : acquireMemory(name, ttlMs);
+    },
+  };
+}
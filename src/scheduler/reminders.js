@@ -0,0 +1,156 @@
+// ======== Check-In Reminders ========
+// For opted-in users: poll eligibility and send one nudge each time
+// check-in becomes available again, outside quiet hours and snoozes.
+
+import { ELIGIBILITY } from '../checkin/eligibility.js';
+import { getLocalHour, isHourInWindow } from '../utils/time.js';
+import { logger, withLogContext } from '../utils/logger.js';
+
+const JOBS = 'reminderJobs';
+const RETRY_AFTER_FAILURE_MS = 30 * 60 * 1000; // 30 minutes
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+export const DEFAULT_REMINDERS = {
+  enabled: false,
+  quietStart: null, // Local hour, inclusive (null = no quiet hours)
+  quietEnd: null, // Local hour, exclusive
+};
+
+export function getReminderSettings(settings) {
+  return { ...DEFAULT_REMINDERS, ...(settings.reminders || {}) };
+}
+
+export function createReminderScheduler({
+  sessions,
+  lockManager,
+  getSession,
+  checkEligibility,
+  notify,
+  intervalMs = 15 * 60 * 1000,
+  defaultTimezone = 'UTC',
+}) {
+  let timer = null;
+  let running = false;
+
+  function getJob(telegramUserId) {
+    return sessions.store.get(JOBS, String(telegramUserId)) || {};
+  }
+
+  function saveJob(telegramUserId, patch) {
+    return sessions.store.set(JOBS, String(telegramUserId), { ...getJob(telegramUserId), ...patch });
+  }
+
+  function isQuiet(reminders, timezone, now) {
+    if (reminders.quietStart === null || reminders.quietEnd === null) return false;
+    const hour = getLocalHour(now, timezone);
+    return isHourInWindow(hour, reminders.quietStart, reminders.quietEnd % 24);
+  }
+
+  function isDue(telegramUserId, settings, now) {
+    const reminders = getReminderSettings(settings);
+    if (!reminders.enabled) return false;
+    if (isQuiet(reminders, settings.timezone || defaultTimezone, now)) return false;
+
+    const job = getJob(telegramUserId);
+    if (job.snoozedUntil && new Date(job.snoozedUntil).getTime() > now.getTime()) return false;
+    return !job.nextCheckAt || new Date(job.nextCheckAt).getTime() <= now.getTime();
+  }
+
+  async function runForUser(telegramUserId) {
+    const release = await lockManager.acquire(`reminder-${telegramUserId}`, LOCK_TTL_MS);
+    if (!release) {
+      return 'locked';
+    }
+
+    try {
+      // Job state written by other bot processes (remindedFor, snoozes)
+      await sessions.store.reload();
+      const session = await getSession(telegramUserId);
+      if (!session) {
+        saveJob(telegramUserId, { nextCheckAt: new Date(Date.now() + RETRY_AFTER_FAILURE_MS).toISOString() });
+        return 'no_session';
+      }
+
+      const eligibility = await checkEligibility(session);
+      if (eligibility.state === ELIGIBILITY.ALREADY_DONE) {
+        saveJob(telegramUserId, { nextCheckAt: eligibility.nextAvailableAt });
+        return 'not_yet';
+      }
+      if (eligibility.state === ELIGIBILITY.INACTIVE) {
+        saveJob(telegramUserId, { nextCheckAt: new Date(Date.now() + RETRY_AFTER_FAILURE_MS).toISOString() });
+        return 'inactive';
+      }
+
+      // One reminder per availability period (keyed by the last completion)
+      const period = eligibility.lastCompletedAt || 'never';
+      const job = getJob(telegramUserId);
+      if (job.remindedFor === period) {
+        saveJob(telegramUserId, { nextCheckAt: new Date(Date.now() + intervalMs).toISOString() });
+        return 'already_reminded';
+      }
+
+      await notify(telegramUserId);
+      saveJob(telegramUserId, {
+        remindedFor: period,
+        remindedAt: new Date().toISOString(),
+        snoozedUntil: null,
+        nextCheckAt: null,
+      });
+      return 'reminded';
+    } catch (error) {
+      logger.error(`❌ Reminder failed for user ${telegramUserId}`, error);
+      saveJob(telegramUserId, { nextCheckAt: new Date(Date.now() + RETRY_AFTER_FAILURE_MS).toISOString() });
+      return 'failed';
+    } finally {
+      await sessions.store.flush().catch(error => logger.error('❌ Failed to save reminder state', error));
+      await release();
+    }
+  }
+
+  async function runOnce(now = new Date()) {
+    if (running) return [];
+    running = true;
+    try {
+      const dueUsers = sessions.listSettings()
+        .filter(([telegramUserId, settings]) => isDue(telegramUserId, settings, now))
+        .map(([telegramUserId]) => telegramUserId);
+
+      const outcomes = [];
+      for (const telegramUserId of dueUsers) {
+        const outcome = await withLogContext({ job: 'reminder', userId: telegramUserId }, () => runForUser(telegramUserId));
+        outcomes.push([telegramUserId, outcome]);
+      }
+      if (outcomes.some(([, outcome]) => outcome === 'reminded' || outcome === 'failed')) {
+        logger.info(`🔔 Reminder run: ${outcomes.map(([id, outcome]) => `${id}=${outcome}`).join(', ')}`);
+      }
+      return outcomes;
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    runOnce,
+    getJob,
+
+    // Remind again after `ms`, even within the same availability period
+    snooze(telegramUserId, ms) {
+      const snoozedUntil = new Date(Date.now() + ms).toISOString();
+      saveJob(telegramUserId, { snoozedUntil, remindedFor: null, nextCheckAt: null });
+      return snoozedUntil;
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        runOnce().catch(error => logger.error('❌ Reminder run failed', error));
+      }, intervalMs);
+      logger.info(`✅ Reminder scheduler enabled (every ${Math.round(intervalMs / 1000)}s)`);
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,114 @@
+// ======== Screen Router ========
+// Menu screens are declared once and opened from callback buttons:
+//
+//   router.define('profile', {
+//     action: 'menu_profile',              // callback_data (string, RegExp or array)
+//     params: match => ({ page: ... }),    // ctx.match → params (RegExp actions)
+//     answer: 'profile.answer',            // answerCbQuery text (catalogue key)
+//     session: true,                       // needs ctx.session (default)
+//     load: async (ctx, params) => data,   // PactSwap calls
+//     render: (ctx, data, params) => ({ text, buttons, back }),
+//     error: (ctx, error, params) => view, // optional custom failure view
+//     failure: 'profile.failed',           // failure text when `error` returns nothing
+//   });
+//
+// The router answers the callback query, shows `common.session_invalid` when
+// the screen needs a session that is missing, logs failures and renders the
+// failure view. `buttons` are keyboard rows; a `common.back_menu` button is
+// appended unless the view sets `back: false`. All texts come from ctx.t().
+
+import { truncateMessage } from '../utils/pagination.js';
+import { logger } from '../utils/logger.js';
+
+export const BACK_TO_MENU = 'back_to_menu';
+
+function backRow(ctx) {
+  return [{ text: ctx.t('common.back_menu'), callback_data: BACK_TO_MENU }];
+}
+
+// Telegram rejects an edit that changes nothing (e.g. 🔄 Refresh on unchanged data)
+function isNotModified(error) {
+  return /message is not modified/i.test(error?.description || error?.message || '');
+}
+
+export function createScreenRouter() {
+  const screens = new Map();
+
+  function toMarkup(ctx, { buttons = [], back = true }) {
+    return { inline_keyboard: back ? [...buttons, backRow(ctx)] : buttons };
+  }
+
+  async function send(ctx, view, { reply, chatId }) {
+    const text = truncateMessage(view.text);
+    const extra = { reply_markup: toMarkup(ctx, view) };
+    if (chatId) {
+      return ctx.telegram.sendMessage(chatId, text, extra);
+    }
+    if (reply) {
+      return ctx.reply(text, extra);
+    }
+    try {
+      return await ctx.editMessageText(text, extra);
+    } catch (error) {
+      if (!isNotModified(error)) throw error;
+    }
+  }
+
+  async function render(ctx, name, params, options) {
+    const screen = screens.get(name);
+    if (!screen) {
+      throw new Error(`Unknown screen: ${name}`);
+    }
+
+    if (screen.session !== false && !ctx.session) {
+      return send(ctx, { text: ctx.t('common.session_invalid') }, options);
+    }
+
+    let view;
+    try {
+      const data = screen.load ? await screen.load(ctx, params) : undefined;
+      view = screen.render(ctx, data, params);
+    } catch (error) {
+      logger.error(`Error in ${name} screen`, error);
+      view = screen.error?.(ctx, error, params) || { text: ctx.t(screen.failure || 'common.error') };
+    }
+    return send(ctx, view, options);
+  }
+
+  return {
+    define(name, screen) {
+      if (screens.has(name)) {
+        throw new Error(`Screen already defined: ${name}`);
+      }
+      screens.set(name, screen);
+      return this;
+    },
+
+    // Edit the current message into the screen (callback handlers)
+    show(ctx, name, params = {}) {
+      return render(ctx, name, params, { reply: false });
+    },
+
+    // Send the screen as a new message (commands)
+    reply(ctx, name, params = {}) {
+      return render(ctx, name, params, { reply: true });
+    },
+
+    // Send the screen to another chat (group commands answered privately)
+    sendTo(ctx, chatId, name, params = {}) {
+      return render(ctx, name, params, { chatId });
+    },
+
+    // bot.action() for every screen that declares an `action`
+    register(bot) {
+      for (const [name, screen] of screens) {
+        if (!screen.action) continue;
+        bot.action(screen.action, async (ctx) => {
+          await ctx.answerCbQuery(screen.answer ? ctx.t(screen.answer) : undefined);
+          const params = screen.params ? screen.params(ctx.match || []) : {};
+          await render(ctx, name, params, { reply: false });
+        });
+      }
+    },
+  };
+}
@@ -0,0 +1,19 @@
+// ======== Session Middleware ========
+// Puts the user's PactSwap session on ctx.session before any handler runs:
+// the stored session, or a freshly initialized one (linked wallet or shared
+// bot identity). ctx.session is null when neither is available.
+
+/**
+ * @param {object} options
+ * @param {(telegramUserId: number) => object|null} options.getSession
+ * @param {(telegramUserId: number) => Promise<object|null>} options.initSession
+ */
+export function createSessionMiddleware({ getSession, initSession }) {
+  return async (ctx, next) => {
+    ctx.session = null;
+    if (ctx.from) {
+      ctx.session = getSession(ctx.from.id) || await initSession(ctx.from.id);
+    }
+    return next();
+  };
+}
@@ -0,0 +1,77 @@
+// ======== Action Throttle Middleware ========
+// Guards button taps and commands before they reach a handler:
+//   - one in-flight operation per user and action; a second tap (or command)
+//     for the same action while the first is still running gets "still processing"
+//   - token-bucket limits per user and across all users; throttled updates get
+//     a gentle "try again in N seconds"
+// Both answer the update themselves (callback answer for taps, a reply for
+// commands), so the handler never runs.
+
+export const THROTTLE_REASONS = {
+  BUSY: 'busy',
+  USER: 'user',
+  GLOBAL: 'global',
+};
+
+const GLOBAL_KEY = 'global';
+
+// Command name of a "/cmd" or "/cmd@bot" message, lower case, or null
+export function commandOf(message) {
+  const entity = message?.entities?.[0];
+  if (entity?.type !== 'bot_command' || entity.offset !== 0) return null;
+  return message.text.substring(1, entity.length).toLowerCase().split('@')[0];
+}
+
+// Default action key: the callback_data of a tap, "/cmd" for a command
+function defaultActionOf(ctx) {
+  if (ctx.callbackQuery) return ctx.callbackQuery.data || null;
+  const command = commandOf(ctx.message);
+  return command ? `/${command}` : null;
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.userLimiter - createRateLimiter() result, keyed by Telegram user ID
+ * @param {object} options.globalLimiter - createRateLimiter() result, one shared key
+ * @param {(ctx) => string|null} [options.actionOf] - Lock key for the update; null lets it through.
+ *   Map a button and a command that do the same thing to one key so they share the lock.
+ * @param {(ctx, reason: string, action: string) => void} [options.onThrottled] - Logging / metrics
+ */
+export function createActionThrottle({ userLimiter, globalLimiter, actionOf = defaultActionOf, onThrottled = () => {} }) {
+  const inFlight = new Set(); // `${telegramUserId}:${action}`
+
+  function reject(ctx, reason, action, text) {
+    onThrottled(ctx, reason, action);
+    const answer = ctx.callbackQuery ? ctx.answerCbQuery(text) : ctx.reply(text);
+    return answer.catch(() => {});
+  }
+
+  return async (ctx, next) => {
+    const action = ctx.from ? actionOf(ctx) : null;
+    if (!action) {
+      return next();
+    }
+
+    const key = `${ctx.from.id}:${action}`;
+    if (inFlight.has(key)) {
+      return reject(ctx, THROTTLE_REASONS.BUSY, action, ctx.t('throttle.busy'));
+    }
+
+    for (const [reason, limiter, limiterKey] of [
+      [THROTTLE_REASONS.USER, userLimiter, String(ctx.from.id)],
+      [THROTTLE_REASONS.GLOBAL, globalLimiter, GLOBAL_KEY],
+    ]) {
+      const { allowed, retryAfterMs } = limiter.take(limiterKey);
+      if (!allowed) {
+        return reject(ctx, reason, action, ctx.t('throttle.slow_down', { seconds: Math.max(1, Math.ceil(retryAfterMs / 1000)) }));
+      }
+    }
+
+    inFlight.add(key);
+    try {
+      return await next();
+    } finally {
+      inFlight.delete(key);
+    }
+  };
+}
@@ -0,0 +1,59 @@
+// ======== Health & Metrics Endpoints ========
+// GET /healthz - JSON status, 200 when the bot is launched and the wallet is
+//                loaded, 503 otherwise
+// GET /metrics - Prometheus text format
+// Served by their own server (MONITORING_PORT) or next to the webhook.
+
+import http from 'http';
+
+/**
+ * @param {object} options
+ * @param {() => {healthy: boolean}} options.getHealth
+ * @param {{render: () => string}} options.registry - createMetricsRegistry() result
+ */
+export function createMonitoringRoutes({ getHealth, registry }) {
+  return {
+    '/healthz': (req, res) => {
+      const health = getHealth();
+      res.writeHead(health.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(health));
+    },
+
+    '/metrics': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(registry.render());
+    },
+  };
+}
+
+export function createMonitoringServer(options) {
+  const routes = createMonitoringRoutes(options);
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (!Object.hasOwn(routes, pathname)) {
+      return res.writeHead(404).end();
+    }
+    if (req.method !== 'GET') {
+      return res.writeHead(405, { Allow: 'GET' }).end();
+    }
+    return routes[pathname](req, res);
+  });
+
+  return {
+    server,
+
+    listen(port, host = '0.0.0.0') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          resolve(server.address());
+        });
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
@@ -0,0 +1,112 @@
+// ======== Webhook Server ========
+// Receives Telegram updates over HTTP (behind a reverse proxy) instead of long
+// polling. Only POSTs to `path` carrying the X-Telegram-Bot-Api-Secret-Token
+// header registered with setWebhook are passed to bot.handleUpdate().
+
+import http from 'http';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+export const SECRET_TOKEN_HEADER = 'x-telegram-bot-api-secret-token';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Telegram allows 1-256 characters: A-Z, a-z, 0-9, _ and -
+export function isValidSecretToken(token) {
+  return typeof token === 'string' && /^[A-Za-z0-9_-]{1,256}$/.test(token);
+}
+
+export function generateSecretToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function safeEqual(expected, actual) {
+  if (typeof actual !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @param {object} options
+ * @param {import('telegraf').Telegraf} options.bot
+ * @param {string} options.path - e.g. /telegram/webhook
+ * @param {string} options.secretToken - Same value as setWebhook's secret_token
+ * @param {Object<string, Function>} [options.routes] - Extra GET handlers by path (/healthz, /metrics)
+ */
+export function createWebhookServer({ bot, path, secretToken, routes = {} }) {
+  if (!isValidSecretToken(secretToken)) {
+    throw new Error('Webhook secret token must be 1-256 characters of A-Z, a-z, 0-9, _ or -');
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && Object.hasOwn(routes, url.pathname)) {
+      return routes[url.pathname](req, res);
+    }
+    if (url.pathname !== path) {
+      return res.writeHead(404).end();
+    }
+    if (req.method !== 'POST') {
+      return res.writeHead(405, { Allow: 'POST' }).end();
+    }
+    if (!safeEqual(secretToken, req.headers[SECRET_TOKEN_HEADER])) {
+      logger.warn(`⚠️  Webhook request with missing or wrong secret token from ${req.socket.remoteAddress}`);
+      return res.writeHead(401).end();
+    }
+
+    let update;
+    try {
+      update = JSON.parse(await readBody(req));
+    } catch (error) {
+      return res.writeHead(error.statusCode || 400).end();
+    }
+    if (!update || typeof update.update_id !== 'number') {
+      return res.writeHead(400).end();
+    }
+
+    try {
+      // Handler errors end up in bot.catch(); a 200 stops Telegram from redelivering
+      await bot.handleUpdate(update);
+    } catch (error) {
+      logger.error(`❌ Webhook update ${update.update_id} failed`, error);
+    }
+    res.writeHead(200).end();
+  });
+
+  return {
+    server,
+
+    // Resolves with the bound {address, port} (port 0 picks a free one)
+    listen(port, host = '0.0.0.0') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          resolve(server.address());
+        });
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
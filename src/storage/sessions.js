@@ -0,0 +1,134 @@
+// ======== User Session & Settings Repository ========
+// Thin layer over the store that knows about session expiry and
+// per-user settings. Keys are Telegram user IDs (as strings).
+
+const SESSIONS = 'sessions';
+const SETTINGS = 'settings';
+const IDENTITIES = 'identities';
+const ACCOUNT_SESSIONS = 'accountSessions';
+const META = 'meta';
+
+export function createSessionRepository(store) {
+  function isExpired(session) {
+    if (!session?.expires) return false;
+    return new Date(session.expires).getTime() <= Date.now();
+  }
+
+  return {
+    store,
+
+    getSession(telegramUserId) {
+      const session = store.get(SESSIONS, String(telegramUserId));
+      if (session && isExpired(session)) {
+        store.delete(SESSIONS, String(telegramUserId));
+        return null;
+      }
+      return session;
+    },
+
+    saveSession(telegramUserId, session) {
+      return store.set(SESSIONS, String(telegramUserId), {
+        ...session,
+        updatedAt: new Date().toISOString(),
+      });
+    },
+
+    deleteSession(telegramUserId) {
+      return store.delete(SESSIONS, String(telegramUserId));
+    },
+
+    listSessions() {
+      return store.entries(SESSIONS).filter(([, session]) => !isExpired(session));
+    },
+
+    // Everyone the bot has seen: sessions, linked wallets and settings
+    listKnownUserIds() {
+      const ids = new Set();
+      for (const namespace of [SESSIONS, IDENTITIES, SETTINGS]) {
+        for (const [telegramUserId] of store.entries(namespace)) ids.add(telegramUserId);
+      }
+      return [...ids];
+    },
+
+    // Linked wallet identity - kept apart from sessions so it survives expiry
+    getLinkedIdentity(telegramUserId) {
+      return store.get(IDENTITIES, String(telegramUserId));
+    },
+
+    saveLinkedIdentity(telegramUserId, identity) {
+      return store.set(IDENTITIES, String(telegramUserId), identity);
+    },
+
+    deleteLinkedIdentity(telegramUserId) {
+      return store.delete(IDENTITIES, String(telegramUserId));
+    },
+
+    // PactSwap session a user created by signing in with their own wallet,
+    // keyed by PactSwap user ID (several Telegram users may link one account)
+    getAccountCredentials(pactswapUserId) {
+      return store.get(ACCOUNT_SESSIONS, String(pactswapUserId));
+    },
+
+    saveAccountCredentials(pactswapUserId, credentials) {
+      return store.set(ACCOUNT_SESSIONS, String(pactswapUserId), credentials);
+    },
+
+    deleteAccountCredentials(pactswapUserId) {
+      return store.delete(ACCOUNT_SESSIONS, String(pactswapUserId));
+    },
+
+    listAccountCredentials() {
+      return store.entries(ACCOUNT_SESSIONS).map(([, credentials]) => credentials);
+    },
+
+    // Telegram users whose linked wallet signs in to this PactSwap account
+    listLinkedUserIds(pactswapUserId) {
+      return store.entries(IDENTITIES)
+        .filter(([, identity]) => identity.pactswapUserId === pactswapUserId)
+        .map(([telegramUserId]) => telegramUserId);
+    },
+
+    getSettings(telegramUserId) {
+      return store.get(SETTINGS, String(telegramUserId)) || {};
+    },
+
+    listSettings() {
+      return store.entries(SETTINGS);
+    },
+
+    updateSettings(telegramUserId, patch) {
+      const current = store.get(SETTINGS, String(telegramUserId)) || {};
+      return store.set(SETTINGS, String(telegramUserId), { ...current, ...patch });
+    },
+
+    // Older versions saved the operator's PactSwap token (meta + every shared
+    // session); drop it from the store. Returns how many copies were removed.
+    forgetStoredCredentials() {
+      let removed = 0;
+      if (store.get(META, 'globalAuthToken')) {
+        store.delete(META, 'globalAuthToken');
+        removed++;
+      }
+      for (const [telegramUserId, session] of store.entries(SESSIONS)) {
+        if ('sessionToken' in session) {
+          const { sessionToken, ...rest } = session;
+          store.set(SESSIONS, telegramUserId, rest);
+          if (sessionToken) removed++;
+        }
+      }
+      return removed;
+    },
+
+    getMeta(key) {
+      return store.get(META, key);
+    },
+
+    setMeta(key, value) {
+      if (value === null || value === undefined) {
+        store.delete(META, key);
+        return null;
+      }
+      return store.set(META, key, value);
+    },
+  };
+}
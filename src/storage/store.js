@@ -0,0 +1,229 @@
+// ======== Persistent Key-Value Store ========
+// Namespaced storage for sessions, settings and bot metadata.
+// Reads are served from an in-memory snapshot; writes are flushed to the
+// backing adapter (debounced for the file adapter).
+//
+// Several bot processes may share one STORE_FILE: every flush re-reads the
+// file under a lock file and writes back only the keys this process changed,
+// so other processes' sessions, settings and job state are kept (and picked
+// up). reload() does the same merge without writing.
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+// In-memory adapter - nothing survives a restart (use for tests)
+export class MemoryStore {
+  constructor(initialData = {}) {
+    this.data = structuredClone(initialData);
+  }
+
+  async load() {
+    return this;
+  }
+
+  async reload() {
+    return this;
+  }
+
+  get(namespace, key) {
+    return this.data[namespace]?.[key] ?? null;
+  }
+
+  set(namespace, key, value) {
+    if (!this.data[namespace]) {
+      this.data[namespace] = {};
+    }
+    this.data[namespace][key] = value;
+    this.scheduleSave();
+    return value;
+  }
+
+  delete(namespace, key) {
+    if (!this.data[namespace] || !(key in this.data[namespace])) {
+      return false;
+    }
+    delete this.data[namespace][key];
+    this.scheduleSave();
+    return true;
+  }
+
+  entries(namespace) {
+    return Object.entries(this.data[namespace] || {});
+  }
+
+  clear(namespace) {
+    delete this.data[namespace];
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    // Nothing to persist
+  }
+
+  async flush() {
+    // Nothing to persist
+  }
+}
+
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+const ALL_KEYS = '*'; // clear(namespace) replaces the whole namespace
+
+// File adapter - JSON snapshot written atomically (tmp file + rename)
+export class FileStore extends MemoryStore {
+  constructor(filePath, { saveDelayMs = 500 } = {}) {
+    super();
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.saveDelayMs = saveDelayMs;
+    this.saveTimer = null;
+    this.pendingSave = null;
+    this.dirty = new Map(); // namespace → Set of changed keys, or ALL_KEYS
+  }
+
+  async load() {
+    const data = await this.readFile();
+    this.data = data || {};
+    this.dirty.clear();
+    logger.info(data ? `💾 Store loaded from ${this.filePath}` : `💾 New store will be created at ${this.filePath}`);
+    return this;
+  }
+
+  // Adopt what other processes wrote; keys changed here and not yet flushed win
+  async reload() {
+    const data = await this.withFileLock(() => this.readFile());
+    if (data) this.merge(data);
+    return this;
+  }
+
+  set(namespace, key, value) {
+    this.markDirty(namespace, key);
+    return super.set(namespace, key, value);
+  }
+
+  delete(namespace, key) {
+    this.markDirty(namespace, key);
+    return super.delete(namespace, key);
+  }
+
+  clear(namespace) {
+    this.dirty.set(namespace, ALL_KEYS);
+    super.clear(namespace);
+  }
+
+  markDirty(namespace, key) {
+    const keys = this.dirty.get(namespace) || new Set();
+    if (keys === ALL_KEYS) return;
+    keys.add(key);
+    this.dirty.set(namespace, keys);
+  }
+
+  // Synchronous, so no set() can slip in between reading `dirty` and clearing it
+  merge(diskData) {
+    const merged = structuredClone(diskData);
+    for (const [namespace, keys] of this.dirty) {
+      if (keys === ALL_KEYS) {
+        if (this.data[namespace]) merged[namespace] = structuredClone(this.data[namespace]);
+        else delete merged[namespace];
+        continue;
+      }
+      for (const key of keys) {
+        const value = this.data[namespace]?.[key];
+        if (value === undefined) {
+          if (merged[namespace]) delete merged[namespace][key];
+        } else {
+          merged[namespace] = merged[namespace] || {};
+          merged[namespace][key] = structuredClone(value);
+        }
+      }
+    }
+    this.data = merged;
+    this.dirty.clear();
+  }
+
+  async readFile() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to load store ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  // One reader-merger-writer at a time across processes (O_EXCL lock file)
+  async withFileLock(fn) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        await (await fs.promises.open(this.lockPath, 'wx')).close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        const stat = await fs.promises.stat(this.lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+          logger.warn(`⚠️  Removing stale lock ${this.lockPath}`);
+          await fs.promises.rm(this.lockPath, { force: true });
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for ${this.lockPath}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+    try {
+      return await fn();
+    } finally {
+      await fs.promises.rm(this.lockPath, { force: true });
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush().catch(error => {
+        logger.error('❌ Failed to save store', error);
+      });
+    }, this.saveDelayMs);
+    this.saveTimer.unref?.();
+  }
+
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    // Serialize writes so an older snapshot never overwrites a newer one
+    const previous = this.pendingSave || Promise.resolve();
+    this.pendingSave = previous.then(() => this.writeSnapshot());
+    return this.pendingSave;
+  }
+
+  async writeSnapshot() {
+    await this.withFileLock(async () => {
+      const diskData = await this.readFile();
+      if (diskData) this.merge(diskData);
+      else this.dirty.clear();
+
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      // Owner-only: the file holds wallet links and user IDs
+      await fs.promises.writeFile(tmpPath, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+  }
+}
+
+// Pick adapter from config: STORE_ADAPTER=file|memory, STORE_FILE=path
+export function createStore({ adapter = 'file', filePath = './data/store.json' } = {}) {
+  if (adapter === 'memory') {
+    return new MemoryStore();
+  }
+  if (adapter === 'file') {
+    return new FileStore(path.resolve(filePath));
+  }
+  throw new Error(`Unknown store adapter: ${adapter}`);
+}
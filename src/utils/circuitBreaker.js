@@ -0,0 +1,73 @@
+// ======== Circuit Breaker ========
+// One breaker state per key (e.g. "GET /loyalty/rules/status"). After
+// `failureThreshold` consecutive failures the key opens and calls fail fast
+// until `resetTimeoutMs` has passed; then one trial call is let through
+// (half-open) and its outcome closes or re-opens the circuit.
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+export function createCircuitBreaker({ failureThreshold = 5, resetTimeoutMs = 30000, now = Date.now } = {}) {
+  const circuits = new Map(); // key → {state, failures, openedAt, trialInFlight}
+
+  function circuitFor(key) {
+    if (!circuits.has(key)) {
+      circuits.set(key, { state: CIRCUIT_STATES.CLOSED, failures: 0, openedAt: null, trialInFlight: false });
+    }
+    return circuits.get(key);
+  }
+
+  return {
+    // true when a call for `key` may be sent now
+    allow(key) {
+      const circuit = circuitFor(key);
+      if (circuit.state === CIRCUIT_STATES.CLOSED) return true;
+      if (circuit.state === CIRCUIT_STATES.OPEN) {
+        if (now() - circuit.openedAt < resetTimeoutMs) return false;
+        circuit.state = CIRCUIT_STATES.HALF_OPEN;
+        circuit.trialInFlight = false;
+      }
+      if (circuit.trialInFlight) return false;
+      circuit.trialInFlight = true;
+      return true;
+    },
+
+    recordSuccess(key) {
+      circuits.set(key, { state: CIRCUIT_STATES.CLOSED, failures: 0, openedAt: null, trialInFlight: false });
+    },
+
+    recordFailure(key) {
+      const circuit = circuitFor(key);
+      circuit.failures += 1;
+      circuit.trialInFlight = false;
+      if (circuit.state === CIRCUIT_STATES.HALF_OPEN || circuit.failures >= failureThreshold) {
+        circuit.state = CIRCUIT_STATES.OPEN;
+        circuit.openedAt = now();
+      }
+    },
+
+    // ms until an open circuit lets a trial call through (0 when not open)
+    retryInMs(key) {
+      const circuit = circuits.get(key);
+      if (!circuit || circuit.state !== CIRCUIT_STATES.OPEN) return 0;
+      return Math.max(0, circuit.openedAt + resetTimeoutMs - now());
+    },
+
+    getState(key) {
+      return circuits.get(key)?.state || CIRCUIT_STATES.CLOSED;
+    },
+
+    // [{key, state, failures}] for status/admin output
+    snapshot() {
+      return [...circuits].map(([key, { state, failures }]) => ({ key, state, failures }));
+    },
+
+    reset(key) {
+      if (key) circuits.delete(key);
+      else circuits.clear();
+    },
+  };
+}
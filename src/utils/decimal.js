@@ -0,0 +1,30 @@
+// ======== Exact Decimal Arithmetic ========
+// Amounts are held as BigInt scaled by 10^18 so sums of decimal strings
+// never pick up floating point error.
+
+const SCALE = 18;
+const FACTOR = 10n ** BigInt(SCALE);
+
+export function parseAmount(value) {
+  if (value === null || value === undefined || value === '') return 0n;
+  const text = String(value).trim();
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  const [, sign, whole, fraction = ''] = match;
+  const scaled = BigInt(whole || '0') * FACTOR + BigInt((fraction + '0'.repeat(SCALE)).substring(0, SCALE) || '0');
+  return sign === '-' ? -scaled : scaled;
+}
+
+export function formatAmount(scaled) {
+  const negative = scaled < 0n;
+  const absolute = negative ? -scaled : scaled;
+  const whole = absolute / FACTOR;
+  const fraction = (absolute % FACTOR).toString().padStart(SCALE, '0').replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+export function sumAmounts(values) {
+  return values.reduce((sum, value) => sum + parseAmount(value), 0n);
+}
@@ -0,0 +1,146 @@
+// ======== Logger ========
+// Leveled logging with JSON lines (production) or readable text (dev).
+// Fields from the surrounding withLogContext() call - the Telegram update ID
+// and user, or the scheduler job - are attached to every entry, so one update
+// can be followed through to its PactSwap requests. Secrets are redacted here,
+// once, instead of at every call site.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_FORMATS = ['json', 'pretty'];
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SECRET_KEY_PATTERN = /token|secret|password|passphrase|private.?key|mnemonic|signature|authorization|cookie/i;
+
+// Secret-looking values inside any string (messages included)
+const SECRET_VALUE_PATTERNS = [
+  [/\b\d{6,12}:[A-Za-z0-9_-]{30,}\b/g, REDACTED], // Telegram bot token
+  [/\b(0x)?[a-fA-F0-9]{64,}\b/g, REDACTED], // Private key / signature
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED], // JWT (session tokens)
+  [/\bBearer\s+[\w.~+/=-]+/gi, `Bearer ${REDACTED}`],
+  [/\b(0x[a-fA-F0-9]{4})[a-fA-F0-9]{32}([a-fA-F0-9]{4})\b/g, '$1…$2'], // Wallet address → 0x1234…abcd
+];
+
+const contextStorage = new AsyncLocalStorage();
+
+/** Runs fn() with extra fields attached to every log entry made inside it. */
+export function withLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+export function getLogContext() {
+  return contextStorage.getStore() || {};
+}
+
+function serializeError(error) {
+  const serialized = { message: error.message };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.status !== undefined) serialized.status = error.status;
+  return serialized;
+}
+
+/**
+ * @param {object} [options]
+ * @param {keyof LOG_LEVELS} [options.level='info']
+ * @param {'json'|'pretty'} [options.format='pretty']
+ * @param {(level: string, line: string) => void} [options.write] - Defaults to stdout/stderr
+ */
+export function createLogger({ level = 'info', format = 'pretty', write = null } = {}) {
+  const secrets = new Set();
+  let minLevel = LOG_LEVELS.info;
+  let outputFormat = 'pretty';
+
+  function redactString(value) {
+    let result = value;
+    for (const secret of secrets) {
+      result = result.split(secret).join(REDACTED);
+    }
+    for (const [pattern, replacement] of SECRET_VALUE_PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+    return result;
+  }
+
+  function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactString(value);
+    if (value instanceof Error) return redact(serializeError(value), depth);
+    if (value instanceof Date) return value.toISOString();
+    if (!value || typeof value !== 'object' || depth > 5) return value;
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const result = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+      result[key] = SECRET_KEY_PATTERN.test(key) && fieldValue != null ? REDACTED : redact(fieldValue, depth + 1);
+    }
+    return result;
+  }
+
+  function formatPretty(entry) {
+    const { time, level: entryLevel, msg, ...fields } = entry;
+    const extras = Object.entries(fields)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    return [time, entryLevel.toUpperCase().padEnd(5), msg, ...extras].join(' ');
+  }
+
+  function defaultWrite(entryLevel, line) {
+    const stream = LOG_LEVELS[entryLevel] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  function log(entryLevel, msg, fields) {
+    if (LOG_LEVELS[entryLevel] < minLevel) return;
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...getLogContext(),
+      ...extra,
+    });
+    const line = outputFormat === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+    (write || defaultWrite)(entryLevel, line);
+  }
+
+  const logger = {
+    /** Applies LOG_LEVEL / LOG_FORMAT; unknown values throw. */
+    configure({ level: nextLevel, format: nextFormat } = {}) {
+      if (nextLevel !== undefined) {
+        if (!Object.hasOwn(LOG_LEVELS, nextLevel)) {
+          throw new Error(`LOG_LEVEL must be one of ${Object.keys(LOG_LEVELS).join(', ')} (got "${nextLevel}")`);
+        }
+        minLevel = LOG_LEVELS[nextLevel];
+      }
+      if (nextFormat !== undefined) {
+        if (!LOG_FORMATS.includes(nextFormat)) {
+          throw new Error(`LOG_FORMAT must be one of ${LOG_FORMATS.join(', ')} (got "${nextFormat}")`);
+        }
+        outputFormat = nextFormat;
+      }
+      return logger;
+    },
+
+    /** Exact values (bot token, private key, session tokens) to scrub from every entry. */
+    addSecret(value) {
+      if (typeof value === 'string' && value.length >= 8) {
+        secrets.add(value);
+      }
+    },
+
+    isLevelEnabled(entryLevel) {
+      return LOG_LEVELS[entryLevel] >= minLevel;
+    },
+
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+  };
+
+  return logger.configure({ level, format });
+}
+
+// Shared by every module; createBot() applies LOG_LEVEL / LOG_FORMAT
+export const logger = createLogger();
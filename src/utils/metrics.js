@@ -0,0 +1,114 @@
+// ======== Prometheus Metrics ========
+// Minimal in-process registry (counters, gauges, histograms) rendered in the
+// Prometheus text exposition format for GET /metrics.
+
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, index) => `${name}="${escapeLabel(values[index])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  function series(labelNames) {
+    const values = new Map(); // labelKey → value
+    return {
+      values,
+      key: labels => labelKey(labelNames, labels),
+    };
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const { values, key } = series(labelNames);
+      return register({
+        name, help, type: 'counter', labelNames, values,
+        inc(labels = {}, amount = 1) {
+          values.set(key(labels), (values.get(key(labels)) || 0) + amount);
+        },
+        get(labels = {}) {
+          return values.get(key(labels)) || 0;
+        },
+      });
+    },
+
+    gauge(name, help, labelNames = []) {
+      const { values, key } = series(labelNames);
+      return register({
+        name, help, type: 'gauge', labelNames, values,
+        set(labels, value) {
+          values.set(key(labels), value);
+        },
+        get(labels = {}) {
+          return values.get(key(labels)) ?? null;
+        },
+      });
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const { values, key } = series(labelNames);
+      const bounds = [...buckets].sort((a, b) => a - b);
+      return register({
+        name, help, type: 'histogram', labelNames, values, bounds,
+        observe(labels, value) {
+          const k = key(labels);
+          const entry = values.get(k) || { counts: bounds.map(() => 0), sum: 0, count: 0 };
+          bounds.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+          });
+          entry.sum += value;
+          entry.count++;
+          values.set(k, entry);
+        },
+      });
+    },
+
+    // Prometheus text format 0.0.4
+    render() {
+      const lines = [];
+      for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const [k, value] of metric.values) {
+          const labelValues = JSON.parse(k);
+          if (metric.type !== 'histogram') {
+            lines.push(`${metric.name}${formatLabels(metric.labelNames, labelValues)} ${formatValue(value)}`);
+            continue;
+          }
+          metric.bounds.forEach((bound, index) => {
+            const le = `le="${formatValue(bound)}"`;
+            lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, labelValues, le)} ${value.counts[index]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, labelValues, 'le="+Inf"')} ${value.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, labelValues)} ${value.sum}`);
+          lines.push(`${metric.name}_count${formatLabels(metric.labelNames, labelValues)} ${value.count}`);
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
@@ -0,0 +1,55 @@
+// ======== Pagination Helpers ========
+
+export const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+// Normalizes a PactSwap list response into {items, hasNextPage}
+export function readPage(body, limit) {
+  const items = body?.data || [];
+  const hasNextPage = body?.hasNextPage ?? body?.pagination?.hasNextPage ?? items.length === limit;
+  return { items, hasNextPage: Boolean(hasNextPage) };
+}
+
+// Walks the pages of an offset-paged endpoint, at most `maxPages` of them;
+// `truncated` is true when the endpoint still had more
+export async function walkPages(fetchPage, { limit = 50, maxPages = 100 } = {}) {
+  const all = [];
+  for (let page = 0; page < maxPages; page++) {
+    const { items, hasNextPage } = await fetchPage({ offset: page * limit, limit });
+    all.push(...items);
+    if (!hasNextPage || items.length === 0) return { items: all, truncated: false };
+  }
+  return { items: all, truncated: true };
+}
+
+// Walks every page of an offset-paged endpoint
+export async function fetchAllPages(fetchPage, options) {
+  return (await walkPages(fetchPage, options)).items;
+}
+
+// Slice of a local list for UI page `page` (0-based)
+export function paginate(items, page, pageSize) {
+  const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(page, 0), totalPages - 1);
+  return {
+    items: items.slice(current * pageSize, (current + 1) * pageSize),
+    page: current,
+    totalPages,
+    hasPrev: current > 0,
+    hasNext: current < totalPages - 1,
+  };
+}
+
+// [◀️ Prev] [Next ▶️] row; page number lives in callback_data.
+// `prefix` is a string (`${prefix}${page}`) or a function page → callback_data
+export function pageButtons(prefix, page, hasPrev, hasNext, { prev = '◀️ Prev', next = 'Next ▶️' } = {}) {
+  const toCallback = typeof prefix === 'function' ? prefix : target => `${prefix}${target}`;
+  const row = [];
+  if (hasPrev) row.push({ text: prev, callback_data: toCallback(page - 1) });
+  if (hasNext) row.push({ text: next, callback_data: toCallback(page + 1) });
+  return row.length > 0 ? [row] : [];
+}
+
+export function truncateMessage(text, limit = TELEGRAM_MESSAGE_LIMIT) {
+  if (text.length <= limit) return text;
+  return `${text.substring(0, limit - 2)}\n…`;
+}
@@ -0,0 +1,47 @@
+// ======== Token Bucket Rate Limiter ========
+// One bucket per key (Telegram user, or a single "global" key). A bucket holds
+// up to `burst` tokens and refills at `perMinute` tokens per minute; every
+// allowed call takes one token.
+
+export function createRateLimiter({ burst, perMinute, now = Date.now, maxKeys = 10000 }) {
+  const refillPerMs = perMinute / 60000;
+  const buckets = new Map(); // key → {tokens, updatedAt}
+
+  function bucketFor(key) {
+    const time = now();
+    const bucket = buckets.get(key) || { tokens: burst, updatedAt: time };
+    bucket.tokens = Math.min(burst, bucket.tokens + (time - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = time;
+    return bucket;
+  }
+
+  // Full buckets behave exactly like missing ones, so they can be dropped
+  function prune() {
+    for (const [key] of buckets) {
+      if (bucketFor(key).tokens >= burst) buckets.delete(key);
+    }
+  }
+
+  return {
+    /**
+     * Take one token for `key`.
+     * @returns {{allowed: boolean, retryAfterMs: number}}
+     */
+    take(key) {
+      const bucket = bucketFor(key);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        buckets.set(key, bucket);
+        if (buckets.size > maxKeys) prune();
+        return { allowed: true, retryAfterMs: 0 };
+      }
+      buckets.set(key, bucket);
+      const retryAfterMs = refillPerMs > 0 ? Math.ceil((1 - bucket.tokens) / refillPerMs) : Infinity;
+      return { allowed: false, retryAfterMs };
+    },
+
+    size() {
+      return buckets.size;
+    },
+  };
+}
@@ -1,39 +1,150 @@
 // ======== Retry Logic with Exponential Backoff ========
-// Retry up to 3 times with delays: 2s → 4s → 8s
+// Only transient failures are retried (network errors, 408, 429, 5xx).
+// Delays use full jitter (random 0..2s, 0..4s, 0..8s, ...) unless the server
+// sent Retry-After, and retrying stops once the overall deadline is reached.
 
-export async function retryWithBackoff(fn, maxRetries = 3) {
-  let lastError;
-  
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
+import { logger } from './logger.js';
+
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options']);
+// Connection never established: the request provably did not reach the server
+const UNSENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+function statusOf(error) {
+  return error?.status ?? error?.response?.status ?? null;
+}
+
+// Network failures (no response) and transient HTTP statuses
+export function isRetryableError(error) {
+  const status = statusOf(error);
+  if (status === null) return !error?.code || !['UNAVAILABLE', 'AUTH', 'ERR_CANCELED'].includes(error.code);
+  return RETRYABLE_STATUSES.has(status) || status > 504;
+}
+
+export function isIdempotentMethod(method) {
+  return IDEMPOTENT_METHODS.has(String(method || 'get').toLowerCase());
+}
+
+// Only these failures may be retried for non-idempotent requests (POST)
+export function isUnsentError(error) {
+  const code = error?.cause?.code ?? error?.code;
+  return UNSENT_CODES.has(code);
+}
+
+// Retry-After header (seconds or HTTP date) in ms, or null
+export function getRetryAfterMs(error, now = Date.now()) {
+  const headers = error?.headers || error?.response?.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts=3] - Attempts including the first one
+ * @param {number} [options.baseDelayMs=2000] - Backoff cap for the first retry (doubles each retry)
+ * @param {number} [options.maxDelayMs=30000] - Upper bound for one delay
+ * @param {number} [options.deadlineMs=20000] - No retry is scheduled past this total time
+ * @param {(error: Error) => boolean} [options.isRetryable]
+ * @param {() => number} [options.random] - Jitter source (Math.random)
+ */
+export function createRetryPolicy({
+  maxAttempts = 3,
+  baseDelayMs = 2000,
+  maxDelayMs = 30000,
+  deadlineMs = 20000,
+  isRetryable = isRetryableError,
+  random = Math.random,
+} = {}) {
+  return {
+    maxAttempts: Math.max(1, maxAttempts),
+    deadlineMs,
+    isRetryable,
+
+    // Delay before retry number `attempt` (1-based), honouring Retry-After
+    delayFor(attempt, error) {
+      const retryAfter = getRetryAfterMs(error);
+      if (retryAfter !== null) return Math.min(retryAfter, maxDelayMs);
+      const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      return Math.floor(random() * cap);
+    },
+  };
+}
+
+export const DEFAULT_RETRY_POLICY = createRetryPolicy();
+
+/**
+ * Run fn() under a retry policy (or a plain attempt count, as before).
+ * @param {() => Promise<any>} fn
+ * @param {object|number} [policy=DEFAULT_RETRY_POLICY]
+ * @param {object} [options]
+ * @param {(info: {attempt: number, delay: number, error: Error}) => void} [options.onRetry]
+ */
+export async function retryWithBackoff(fn, policy = DEFAULT_RETRY_POLICY, { onRetry } = {}) {
+  const retryPolicy = typeof policy === 'number' ? createRetryPolicy({ maxAttempts: policy }) : policy;
+  const { maxAttempts, deadlineMs, isRetryable } = retryPolicy;
+  const startedAt = Date.now();
+
+  for (let attempt = 1; ; attempt++) {
     try {
       return await fn();
     } catch (error) {
-      lastError = error;
-      
-      if (attempt < maxRetries - 1) {
-        const delay = Math.pow(2, attempt + 1) * 1000; // 2s, 4s, 8s
-        console.warn(
-          `⚠️  API request failed (attempt ${attempt + 1}/${maxRetries}). ` +
-          `Retrying in ${delay / 1000}s... Error: ${error.message}`
-        );
-        await new Promise(resolve => setTimeout(resolve, delay));
+      if (!isRetryable(error)) {
+        throw error;
+      }
+      const delay = retryPolicy.delayFor(attempt, error);
+      const outOfTime = Date.now() - startedAt + delay > deadlineMs;
+      if (attempt >= maxAttempts || outOfTime) {
+        logger.error(`❌ API request failed after ${attempt} attempts`, error);
+        throw error;
       }
+
+      logger.warn(
+        `⚠️  API request failed (attempt ${attempt}/${maxAttempts}). Retrying in ${(delay / 1000).toFixed(1)}s...`,
+        error
+      );
+      onRetry?.({ attempt, delay, error });
+      await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
-  
-  console.error(`❌ API request failed after ${maxRetries} attempts:`, lastError.message);
-  throw lastError;
 }
 
-// Wrap axios response handling
-export function wrapAPIClient(client) {
+// Log server errors and retry idempotent axios requests under the policy.
+// Requests sent with `retry: false` in their config are left alone (e.g. the
+// PactSwap transports, whose client already runs its own retry loop).
+export function wrapAPIClient(client, { policy = DEFAULT_RETRY_POLICY, onRetry } = {}) {
   client.interceptors.response.use(
     response => response,
-    error => {
+    async error => {
       if (error.response?.status >= 500) {
-        console.error('🔴 Server error:', error.response.status);
+        logger.error('🔴 Server error', { status: error.response.status, url: error.config?.url });
+      }
+
+      const config = error.config;
+      const method = (config?.method || 'get').toLowerCase();
+      if (!config || config.retry === false || !isIdempotentMethod(method) || !policy.isRetryable(error)) {
+        throw error;
       }
-      throw error;
+
+      config.retryAttempt = (config.retryAttempt || 0) + 1;
+      config.retryStartedAt = config.retryStartedAt || Date.now();
+      const delay = policy.delayFor(config.retryAttempt, error);
+      if (config.retryAttempt >= policy.maxAttempts ||
+          Date.now() - config.retryStartedAt + delay > policy.deadlineMs) {
+        throw error;
+      }
+
+      logger.warn(
+        `⚠️  ${method.toUpperCase()} ${config.url} failed (attempt ${config.retryAttempt}/${policy.maxAttempts}). ` +
+        `Retrying in ${(delay / 1000).toFixed(1)}s...`,
+        error
+      );
+      onRetry?.({ attempt: config.retryAttempt, delay, error, config });
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return client.request(config);
     }
   );
   return client;
@@ -0,0 +1,37 @@
+// ======== Time Zone Helpers ========
+
+// Hour of day (0-23) at `date` in the given IANA time zone
+export function getLocalHour(date, timeZone) {
+  const hour = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: 'numeric',
+    hourCycle: 'h23',
+  }).format(date);
+  return Number(hour);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// [startHour, endHour) window; wraps past midnight when start > end
+export function isHourInWindow(hour, startHour, endHour) {
+  if (startHour === endHour) return true; // Whole day
+  if (startHour < endHour) return hour >= startHour && hour < endHour;
+  return hour >= startHour || hour < endHour;
+}
+
+// Calendar date "YYYY-MM-DD" at `date` in the given IANA time zone
+export function getLocalDateKey(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
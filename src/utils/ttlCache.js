@@ -0,0 +1,91 @@
+// ======== TTL Cache (stale-while-revalidate) ========
+// For data shared by all users (currencies, rule groups, special rules).
+//   fresh  (age < ttlMs)                 → cached value
+//   stale  (age < ttlMs + staleMs)       → cached value now, refreshed in background
+//   expired / missing                    → loader awaited
+// Concurrent loads of one key share a single request (single-flight), and a
+// failed load falls back to the last value when there is one.
+
+export function createTtlCache({ defaultTtlMs = 5 * 60 * 1000, defaultStaleMs = 60 * 60 * 1000, now = Date.now } = {}) {
+  const entries = new Map(); // key → {value, storedAt, ttlMs, staleMs}
+  const inFlight = new Map(); // key → Promise
+  const stats = { hits: 0, stale: 0, misses: 0, refreshes: 0, errors: 0 };
+
+  function load(key, loader, ttlMs, staleMs) {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = (async () => {
+      try {
+        const value = await loader();
+        entries.set(key, { value, storedAt: now(), ttlMs, staleMs });
+        return value;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  return {
+    /**
+     * @param {string} key
+     * @param {() => Promise<any>} loader
+     * @param {{ttlMs?: number, staleMs?: number}} [options]
+     */
+    async get(key, loader, { ttlMs = defaultTtlMs, staleMs = defaultStaleMs } = {}) {
+      const entry = entries.get(key);
+      const age = entry ? now() - entry.storedAt : Infinity;
+
+      if (age < ttlMs) {
+        stats.hits++;
+        return entry.value;
+      }
+
+      if (age < ttlMs + staleMs) {
+        stats.stale++;
+        if (!inFlight.has(key)) {
+          stats.refreshes++;
+          load(key, loader, ttlMs, staleMs).catch(() => {
+            stats.errors++; // Keep serving the stale value
+          });
+        }
+        return entry.value;
+      }
+
+      stats.misses++;
+      try {
+        return await load(key, loader, ttlMs, staleMs);
+      } catch (error) {
+        stats.errors++;
+        if (entry) return entry.value;
+        throw error;
+      }
+    },
+
+    // Remove one key, every key starting with `prefix:`, or everything
+    flush(prefix = null) {
+      if (!prefix) {
+        const count = entries.size;
+        entries.clear();
+        return count;
+      }
+      let count = 0;
+      for (const key of [...entries.keys()]) {
+        if (key === prefix || key.startsWith(`${prefix}:`)) {
+          entries.delete(key);
+          count++;
+        }
+      }
+      return count;
+    },
+
+    stats() {
+      return { ...stats, size: entries.size, inFlight: inFlight.size };
+    },
+
+    keys() {
+      return [...entries.keys()];
+    },
+  };
+}
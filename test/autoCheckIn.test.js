@@ -0,0 +1,93 @@
+// Auto check-in scheduler: one submit per PactSwap account per run, job
+// state that survives a failed notification.
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAutoCheckInScheduler } from '../src/scheduler/autoCheckIn.js';
+import { createLockManager } from '../src/scheduler/lock.js';
+import { createSessionRepository } from '../src/storage/sessions.js';
+import { MemoryStore } from '../src/storage/store.js';
+import { ELIGIBILITY } from '../src/checkin/eligibility.js';
+import { logger } from '../src/utils/logger.js';
+
+logger.configure({ level: 'error' });
+
+const ACCOUNT_A = '8da036a6-f24e-44f1-9609-62a77a3224ba';
+const ACCOUNT_B = '1b2c3d4e-0000-4000-8000-000000000002';
+
+describe('auto check-in scheduler', () => {
+  let sessions;
+  let submits;
+  let notified;
+  let notify;
+  let scheduler;
+
+  function addUser(telegramUserId, pactswapUserId, { linked = false } = {}) {
+    sessions.saveSession(telegramUserId, { pactswapUserId, walletAddress: '0x01', expires: null, linked });
+    sessions.updateSettings(telegramUserId, { autoCheckIn: { enabled: true, windowStart: 0, windowEnd: 24 } });
+  }
+
+  beforeEach(() => {
+    sessions = createSessionRepository(new MemoryStore());
+    submits = [];
+    notified = [];
+    notify = async (telegramUserId, outcome) => {
+      notified.push([telegramUserId, outcome.ok]);
+    };
+    scheduler = createAutoCheckInScheduler({
+      sessions,
+      lockManager: createLockManager(),
+      getSession: async telegramUserId => sessions.getSession(telegramUserId),
+      checkEligibility: async () => ({ state: ELIGIBILITY.ELIGIBLE }),
+      submitCheckIn: async (session) => {
+        submits.push(session.pactswapUserId);
+        return { message: 'queued', reward: null, streak: null };
+      },
+      notify: (...args) => notify(...args),
+    });
+  });
+
+  it('submits for a user with a linked wallet', async () => {
+    addUser('1', ACCOUNT_A, { linked: true });
+    const outcomes = await scheduler.runOnce();
+    assert.deepEqual(outcomes, [['1', 'submitted']]);
+    assert.deepEqual(submits, [ACCOUNT_A]);
+    assert.equal(scheduler.getJob(ACCOUNT_A).lastOutcome, 'success');
+  });
+
+  it('submits once for users sharing a PactSwap account', async () => {
+    addUser('1', ACCOUNT_A);
+    addUser('2', ACCOUNT_A);
+    addUser('3', ACCOUNT_B);
+
+    const outcomes = await scheduler.runOnce();
+    assert.deepEqual(outcomes, [['1', 'submitted'], ['2', 'shared'], ['3', 'submitted']]);
+    assert.deepEqual(submits, [ACCOUNT_A, ACCOUNT_B]);
+
+    // The account's job state covers every user linked to it
+    assert.deepEqual(await scheduler.runOnce(), []);
+    assert.equal(submits.length, 2);
+  });
+
+  it('keeps a completed check-in when the notification fails', async () => {
+    addUser('1', ACCOUNT_A);
+    notify = async () => {
+      throw new Error('403: bot was blocked by the user');
+    };
+
+    const outcomes = await scheduler.runOnce();
+    assert.deepEqual(outcomes, [['1', 'submitted']]);
+    assert.equal(scheduler.getJob(ACCOUNT_A).lastOutcome, 'success');
+
+    // Not retried an hour later as a failure
+    await scheduler.runOnce(new Date(Date.now() + 61 * 60 * 1000 - 1000));
+    assert.equal(submits.length, 1);
+  });
+
+  it('backs off a user without a session', async () => {
+    sessions.updateSettings('1', { autoCheckIn: { enabled: true, windowStart: 0, windowEnd: 24 } });
+    assert.deepEqual(await scheduler.runOnce(), [['1', 'no_session']]);
+    assert.deepEqual(await scheduler.runOnce(), []);
+    assert.deepEqual(notified, []);
+  });
+});
@@ -0,0 +1,131 @@
+// Exact decimal amounts and the incremental balance walk.
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAmount, formatAmount, sumAmounts } from '../src/utils/decimal.js';
+import { createBalanceService, formatBalanceLines, UNKNOWN_CURRENCY } from '../src/balance/balances.js';
+import { MemoryStore } from '../src/storage/store.js';
+import { logger } from '../src/utils/logger.js';
+
+logger.configure({ level: 'error' });
+
+const USER_ID = '8da036a6-f24e-44f1-9609-62a77a3224ba';
+const PACT = 'b7a1a3a4-0c55-4f1f-9a59-3a5e2b7d6f10';
+const GEM = 'c8b2b4b5-1d66-4a2a-8b6a-4b6f3c8e7a21';
+
+describe('decimal amounts', () => {
+  it('adds decimals without floating point error', () => {
+    assert.equal(formatAmount(sumAmounts(['0.1', '0.2'])), '0.3');
+    assert.equal(formatAmount(sumAmounts(['1.000000000000000001', '2'])), '3.000000000000000001');
+  });
+
+  it('parses signs, bare fractions and numbers', () => {
+    assert.equal(formatAmount(parseAmount('-1.50')), '-1.5');
+    assert.equal(formatAmount(parseAmount('.25')), '0.25');
+    assert.equal(formatAmount(parseAmount(7)), '7');
+    assert.equal(parseAmount(null), 0n);
+  });
+
+  it('cuts digits beyond 18 decimals instead of rounding', () => {
+    assert.equal(formatAmount(parseAmount('0.1234567890123456789')), '0.123456789012345678');
+  });
+
+  it('rejects text that is not an amount', () => {
+    assert.throws(() => parseAmount('1e3'), /Invalid amount/);
+    assert.throws(() => parseAmount('.'), /Invalid amount/);
+  });
+});
+
+describe('createBalanceService', () => {
+  let entries; // Oldest first, like the PactSwap mock
+  let fetched;
+  let service;
+
+  function addEntry(amount, { currencyId = PACT, direction = 'credit' } = {}) {
+    entries.push({ id: `entry-${entries.length + 1}`, amount, direction, loyaltyCurrencyId: currencyId });
+  }
+
+  beforeEach(() => {
+    entries = [];
+    fetched = [];
+    service = createBalanceService({
+      store: new MemoryStore(),
+      pageSize: 2,
+      fetchPage: async (userId, { offset, limit }) => {
+        fetched.push(offset);
+        const newestFirst = [...entries].reverse();
+        return { items: newestFirst.slice(offset, offset + limit), hasNextPage: offset + limit < newestFirst.length };
+      },
+    });
+  });
+
+  it('sums credits and debits per currency exactly', async () => {
+    addEntry('0.1');
+    addEntry('0.2');
+    addEntry('10.5', { currencyId: GEM });
+    addEntry('0.05', { direction: 'debit' });
+    addEntry('1', { currencyId: null });
+
+    const { balances, entryCount, newestEntryId } = await service.getBalances(USER_ID);
+    assert.equal(formatAmount(balances.get(PACT)), '0.25');
+    assert.equal(formatAmount(balances.get(GEM)), '10.5');
+    assert.equal(formatAmount(balances.get(UNKNOWN_CURRENCY)), '1');
+    assert.equal(entryCount, 5);
+    assert.equal(newestEntryId, 'entry-5');
+  });
+
+  it('resumes from the cached newest entry and fetches only new pages', async () => {
+    for (let i = 0; i < 5; i++) addEntry('1.1');
+    await service.getBalances(USER_ID);
+    assert.deepEqual(fetched, [0, 2, 4]);
+
+    fetched = [];
+    addEntry('0.01');
+    const { balances, entryCount, newestEntryId } = await service.getBalances(USER_ID);
+    assert.deepEqual(fetched, [0]);
+    assert.equal(formatAmount(balances.get(PACT)), '5.51');
+    assert.equal(entryCount, 6);
+    assert.equal(newestEntryId, 'entry-6');
+  });
+
+  it('keeps the cache when nothing is new', async () => {
+    addEntry('3');
+    await service.getBalances(USER_ID);
+    const { balances, newestEntryId } = await service.getBalances(USER_ID);
+    assert.equal(formatAmount(balances.get(PACT)), '3');
+    assert.equal(newestEntryId, 'entry-1');
+  });
+
+  it('rebuilds when the cached newest entry is gone', async () => {
+    addEntry('2');
+    addEntry('3');
+    await service.getBalances(USER_ID);
+
+    entries = [{ id: 'entry-9', amount: '4', direction: 'credit', loyaltyCurrencyId: PACT }];
+    const { balances, entryCount } = await service.getBalances(USER_ID);
+    assert.equal(formatAmount(balances.get(PACT)), '4');
+    assert.equal(entryCount, 1);
+  });
+
+  it('reports whether a batch is the whole history', async () => {
+    const batches = [];
+    service = createBalanceService({
+      store: new MemoryStore(),
+      fetchPage: async () => ({ items: [...entries].reverse(), hasNextPage: false }),
+      onEntries: (userId, batch, { complete }) => batches.push([batch.length, complete]),
+    });
+    addEntry('1');
+    await service.getBalances(USER_ID);
+    addEntry('1');
+    await service.getBalances(USER_ID);
+    assert.deepEqual(batches, [[1, true], [1, false]]);
+  });
+});
+
+describe('formatBalanceLines', () => {
+  it('lists known currencies first, then unknown ones', () => {
+    const balances = new Map([[PACT, parseAmount('1.5')], [UNKNOWN_CURRENCY, parseAmount('2')]]);
+    const lines = formatBalanceLines(balances, [{ id: PACT, symbol: 'PACT' }, { id: GEM, symbol: 'GEM' }], { other: 'Other' });
+    assert.deepEqual(lines, ['💰 PACT: 1.5', '💰 GEM: 0', '💰 Other: 2']);
+  });
+});
@@ -0,0 +1,37 @@
+// loadConfig() required rules.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig, ConfigError } from '../src/config/index.js';
+
+const BASE_ENV = {
+  TELEGRAM_BOT_TOKEN: '123456:test-token',
+  ETHEREUM_PRIVATE_KEY: `0x${'11'.repeat(32)}`,
+};
+
+function problemsOf(env) {
+  try {
+    loadConfig(env);
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+}
+
+describe('loadConfig', () => {
+  it('accepts a bot token and a wallet key', () => {
+    const config = loadConfig(BASE_ENV);
+    assert.equal(config.PACTSWAP_USER_ID, null);
+  });
+
+  it('requires ETHEREUM_PRIVATE_KEY', () => {
+    const { ETHEREUM_PRIVATE_KEY, ...env } = BASE_ENV;
+    const problems = problemsOf({ ...env, PACTSWAP_USER_ID: '8da036a6-f24e-44f1-9609-62a77a3224ba' });
+    assert.deepEqual(problems, ['ETHEREUM_PRIVATE_KEY is required']);
+  });
+
+  it('requires WEBHOOK_DOMAIN in webhook mode', () => {
+    assert.deepEqual(problemsOf({ ...BASE_ENV, BOT_MODE: 'webhook' }), ['WEBHOOK_DOMAIN is required with the current settings']);
+  });
+});
@@ -0,0 +1,157 @@
+// ======== Bot Test Harness ========
+// Drives the bot end to end without Telegram or PactSwap: synthetic `message`
+// and `callback_query` updates go through bot.handleUpdate(), outgoing Bot API
+// calls are captured by the fake Telegram API and PactSwap is served by the
+// local mock server.
+//
+//   const harness = await createBotHarness();
+//   await harness.sendMessage('/start');
+//   const { text } = (await harness.press('menu_checkin')).lastEdit();
+//   await harness.close();
+
+import { ethers } from 'ethers';
+import { createBot } from '../../src/bot.js';
+import { createMockPactSwapServer } from '../../src/pactswap/mockServer.js';
+import { createFakeTelegramApi } from './fakeTelegram.js';
+
+export const DEFAULT_TEST_USER = {
+  id: 700000001,
+  is_bot: false,
+  first_name: 'Tester',
+  username: 'tester',
+  language_code: 'id',
+};
+
+// View over the Bot API calls made while handling one update
+function callView(calls) {
+  const byMethod = method => calls.filter(call => call.method === method).map(call => call.payload);
+  return {
+    calls,
+    replies: () => byMethod('sendMessage'),
+    edits: () => byMethod('editMessageText'),
+    answers: () => byMethod('answerCallbackQuery'),
+    documents: () => byMethod('sendDocument'),
+    lastReply: () => byMethod('sendMessage').at(-1) || null,
+    lastEdit: () => byMethod('editMessageText').at(-1) || null,
+    // Last text shown to the user, whether sent or edited in place
+    lastText: () => calls.filter(call => ['sendMessage', 'editMessageText'].includes(call.method)).at(-1)?.payload.text ?? null,
+  };
+}
+
+// Flatten an inline keyboard into its callback_data values
+export function buttonData(payload) {
+  return (payload?.reply_markup?.inline_keyboard || []).flat().map(button => button.callback_data).filter(Boolean);
+}
+
+/**
+ * Start the fake Telegram API and the PactSwap mock, then build the bot against them.
+ * @param {object} [options]
+ * @param {object} [options.env] - Extra environment variables (override the test defaults)
+ * @param {object} [options.seed] - PactSwap mock seed (see createDefaultSeed)
+ * @param {object} [options.pactswap] - Replacement PactSwap client (skips the mock server calls)
+ * @param {object} [options.store] - Store instance (defaults to a fresh memory store)
+ */
+export async function createBotHarness({ env = {}, seed, pactswap = null, store = null } = {}) {
+  const telegramApi = createFakeTelegramApi();
+  const apiRoot = await telegramApi.listen();
+  const mock = createMockPactSwapServer(seed ? { seed } : {});
+  const pactswapUrl = await mock.listen();
+  const wallet = ethers.Wallet.createRandom();
+
+  const app = createBot({
+    env: {
+      TELEGRAM_BOT_TOKEN: '123456:TEST-TOKEN',
+      ETHEREUM_PRIVATE_KEY: wallet.privateKey,
+      PACTSWAP_API_URL: pactswapUrl,
+      STORE_ADAPTER: 'memory',
+      AUTO_CHECKIN_ENABLED: 'false',
+      REMINDERS_ENABLED: 'false',
+      PACTSWAP_RETRIES: '1',
+      REWARD_POLL_INTERVAL_MS: '10',
+      // Most tests drive the operator account; linking has its own tests (linkWallet)
+      ALLOW_SHARED_IDENTITY: 'true',
+      // Scripted taps come faster than any user; tests of the throttle override these
+      RATE_LIMIT_USER_BURST: '1000',
+      RATE_LIMIT_GLOBAL_BURST: '1000',
+      ...env,
+    },
+    store,
+    pactswap,
+    telegram: { apiRoot, agent: undefined },
+  });
+  // Skip getMe: handleUpdate() only needs botInfo to be known
+  app.bot.botInfo = telegramApi.botInfo;
+
+  let nextUpdateId = 1;
+  const lastBotMessage = new Map(); // chatId → last message the bot sent, for callback queries
+
+  async function dispatch(update) {
+    const from = telegramApi.calls.length;
+    await app.bot.handleUpdate({ update_id: nextUpdateId++, ...update });
+    const calls = telegramApi.calls.slice(from);
+    for (const { method, payload } of calls) {
+      if (method === 'sendMessage') {
+        lastBotMessage.set(Number(payload.chat_id), payload);
+      }
+    }
+    return callView(calls);
+  }
+
+  return {
+    app,
+    bot: app.bot,
+    mock,
+    wallet,
+    calls: telegramApi.calls,
+
+    // Send a text message (commands included) as `user` in a private chat
+    sendMessage(text, { user = DEFAULT_TEST_USER, chat = null } = {}) {
+      const entities = text.startsWith('/')
+        ? [{ type: 'bot_command', offset: 0, length: text.split(/\s/)[0].length }]
+        : undefined;
+      return dispatch({
+        message: {
+          message_id: nextUpdateId,
+          date: Math.floor(Date.now() / 1000),
+          chat: chat || { id: user.id, type: 'private', first_name: user.first_name },
+          from: user,
+          text,
+          entities,
+        },
+      });
+    },
+
+    // Press an inline button; the query points at the bot's last message in that chat
+    press(data, { user = DEFAULT_TEST_USER, chatId = user.id } = {}) {
+      const previous = lastBotMessage.get(chatId);
+      return dispatch({
+        callback_query: {
+          id: String(nextUpdateId),
+          from: user,
+          chat_instance: String(chatId),
+          data,
+          message: {
+            message_id: nextUpdateId,
+            date: Math.floor(Date.now() / 1000),
+            chat: { id: chatId, type: chatId < 0 ? 'group' : 'private' }, // Group chat IDs are negative
+            from: { id: telegramApi.botInfo.id, is_bot: true, first_name: telegramApi.botInfo.first_name },
+            text: previous?.text || '',
+            reply_markup: previous?.reply_markup,
+          },
+        },
+      });
+    },
+
+    // /link + /verify as `user`, signing PactSwap's login message with `wallet`
+    async linkWallet(wallet, { user = DEFAULT_TEST_USER } = {}) {
+      const challenge = (await this.sendMessage(`/link ${wallet.address}`, { user })).lastReply();
+      const signature = await wallet.signMessage(challenge.text);
+      return this.sendMessage(`/verify ${signature}`, { user });
+    },
+
+    async close() {
+      await app.stop();
+      await Promise.all([telegramApi.close(), mock.close()]);
+    },
+  };
+}
@@ -0,0 +1,103 @@
+// ======== Fake Telegram Bot API ========
+// Local HTTP stand-in for api.telegram.org. Records every Bot API call so the
+// harness can inspect what the bot sent (sendMessage, editMessageText, ...).
+
+import http from 'http';
+
+export const FAKE_BOT_INFO = {
+  id: 100000001,
+  is_bot: true,
+  first_name: 'PactSwap Test Bot',
+  username: 'pactswap_test_bot',
+  can_join_groups: true,
+  can_read_all_group_messages: false,
+  supports_inline_queries: false,
+};
+
+// Multipart bodies only come from file uploads (sendDocument); keep fields and file names
+function parseMultipart(raw, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+  if (!boundary) return {};
+  const payload = {};
+  for (const part of raw.split(`--${boundary[1] || boundary[2]}`)) {
+    const [head, ...rest] = part.split('\r\n\r\n');
+    const name = /name="([^"]+)"/.exec(head)?.[1];
+    if (!name) continue;
+    const value = rest.join('\r\n\r\n').replace(/\r\n$/, '');
+    const filename = /filename="([^"]*)"/.exec(head)?.[1];
+    payload[name] = filename !== undefined ? { filename, content: value } : value;
+  }
+  return payload;
+}
+
+function parsePayload(raw, contentType = '') {
+  if (!raw) return {};
+  if (contentType.startsWith('multipart/form-data')) return parseMultipart(raw, contentType);
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+}
+
+export function createFakeTelegramApi({ botInfo = FAKE_BOT_INFO } = {}) {
+  const calls = []; // {method, payload}
+  let nextMessageId = 1;
+
+  function buildMessage(payload, extra = {}) {
+    return {
+      message_id: payload.message_id || nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(payload.chat_id) || payload.chat_id, type: 'private' },
+      from: { id: botInfo.id, is_bot: true, first_name: botInfo.first_name, username: botInfo.username },
+      ...extra,
+    };
+  }
+
+  function respond(method, payload) {
+    switch (method) {
+      case 'getMe':
+        return botInfo;
+      case 'sendMessage':
+        return buildMessage(payload, { text: payload.text, reply_markup: payload.reply_markup });
+      case 'editMessageText':
+        return payload.inline_message_id
+          ? true
+          : buildMessage(payload, { text: payload.text, reply_markup: payload.reply_markup });
+      case 'sendDocument':
+        return buildMessage(payload, { caption: payload.caption, document: { file_name: payload.document?.filename } });
+      default:
+        return true;
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const method = req.url.split('/').pop();
+      const payload = parsePayload(raw, req.headers['content-type']);
+      calls.push({ method, payload });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, result: respond(method, payload) }));
+    });
+  });
+
+  return {
+    server,
+    calls,
+    botInfo,
+
+    // Resolves with the apiRoot to hand to Telegraf (e.g. http://127.0.0.1:PORT)
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise(resolve => {
+        server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
@@ -0,0 +1,98 @@
+// Linked wallets end to end: each user signs in to PactSwap with their own
+// wallet and the bot acts on that account with that session.
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { createBotHarness, DEFAULT_TEST_USER } from './helpers/botHarness.js';
+import { CATALOGUES } from '../src/i18n/index.js';
+
+const en = CATALOGUES.en;
+const USER = { ...DEFAULT_TEST_USER, language_code: 'en' };
+const OTHER_USER = { ...USER, id: 700000002, first_name: 'Other' };
+
+function accountOf(harness, wallet) {
+  return harness.mock.state.users[wallet.address.toLowerCase()];
+}
+
+describe('linked wallets', () => {
+  let harness;
+  let wallet;
+
+  beforeEach(async () => {
+    harness = await createBotHarness({ env: { LOG_LEVEL: 'error', ALLOW_SHARED_IDENTITY: 'false' } });
+    wallet = ethers.Wallet.createRandom();
+  });
+
+  afterEach(() => harness.close());
+
+  it('/link sends PactSwap\'s login message for the wallet', async () => {
+    const result = await harness.sendMessage(`/link ${wallet.address}`, { user: USER });
+    const message = result.lastReply().text;
+    assert.match(message, /^hub\.pactswap\.io wants you to sign in/);
+    assert.equal(message.split('\n')[1], wallet.address);
+    assert.ok(harness.mock.requests.some(request => request.path === '/auth/nonce'));
+  });
+
+  it('/verify signs the user in to their own PactSwap account', async () => {
+    const result = await harness.linkWallet(wallet, { user: USER });
+    const account = accountOf(harness, wallet);
+    assert.ok(account);
+    assert.match(result.lastReply().text, new RegExp(account.id.substring(0, 8)));
+  });
+
+  it('check-in is credited to the linked account, not the operator', async () => {
+    await harness.linkWallet(wallet, { user: USER });
+    await harness.sendMessage('/start', { user: USER });
+    const result = await harness.press('menu_checkin', { user: USER });
+
+    assert.match(result.lastText(), new RegExp(en['checkin.success'].split('\n')[0]));
+    const entries = harness.mock.state.entries;
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].userId, accountOf(harness, wallet).id);
+    assert.notEqual(entries[0].userId, accountOf(harness, harness.wallet)?.id);
+  });
+
+  it('two users with their own wallets check in on separate accounts', async () => {
+    const otherWallet = ethers.Wallet.createRandom();
+    await harness.linkWallet(wallet, { user: USER });
+    await harness.linkWallet(otherWallet, { user: OTHER_USER });
+
+    await harness.press('menu_checkin', { user: USER });
+    await harness.press('menu_checkin', { user: OTHER_USER });
+
+    const credited = harness.mock.state.entries.map(entry => entry.userId).sort();
+    assert.deepEqual(credited, [accountOf(harness, wallet).id, accountOf(harness, otherWallet).id].sort());
+  });
+
+  it('auto check-in runs on the linked account', async () => {
+    await harness.linkWallet(wallet, { user: USER });
+    harness.app.updateUserSettings(USER.id, { autoCheckIn: { enabled: true, windowStart: 0, windowEnd: 24 } });
+
+    const outcomes = await harness.app.autoCheckInScheduler.runOnce();
+    assert.deepEqual(outcomes, [[String(USER.id), 'submitted']]);
+    assert.deepEqual(harness.mock.state.entries.map(entry => entry.userId), [accountOf(harness, wallet).id]);
+  });
+
+  it('asks to /link again once PactSwap ends the session, without submitting', async () => {
+    await harness.linkWallet(wallet, { user: USER });
+    harness.mock.failNext(/^\/loyalty/, { status: 401 });
+    const result = await harness.press('menu_checkin', { user: USER });
+    assert.equal(result.lastText(), en['common.relink']);
+
+    // The rejected session is dropped: the operator's is never used instead
+    const before = harness.mock.requests.length;
+    const retry = await harness.press('menu_checkin', { user: USER });
+    assert.equal(retry.lastText(), en['common.relink']);
+    assert.ok(harness.mock.requests.slice(before).every(request => !request.path.endsWith('/complete')));
+  });
+
+  it('/unlink removes the wallet and its session', async () => {
+    await harness.linkWallet(wallet, { user: USER });
+    const result = await harness.sendMessage('/unlink', { user: USER });
+    assert.equal(result.lastReply().text, en['unlink.done']);
+
+    const start = await harness.sendMessage('/start', { user: USER });
+    assert.equal(start.lastText(), en['start.no_session']);
+  });
+});
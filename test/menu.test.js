@@ -0,0 +1,223 @@
+// Main menu actions end to end: fake Telegram updates in, PactSwap mock behind.
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBotHarness, buttonData, DEFAULT_TEST_USER } from './helpers/botHarness.js';
+import { CATALOGUES } from '../src/i18n/index.js';
+
+const en = CATALOGUES.en;
+const USER = { ...DEFAULT_TEST_USER, language_code: 'en' };
+const OTHER_USER = { ...USER, id: 700000002, first_name: 'Other' };
+const CHECKIN_RULE_ID = '6a796160-bb9e-45f8-85a6-90747d44423e';
+
+function completions(harness) {
+  return harness.mock.requests.filter(request => request.method === 'POST' && request.path.endsWith('/complete'));
+}
+
+// Every text sent or edited in, across all updates so far
+function shownTexts(harness) {
+  return harness.calls
+    .filter(call => ['sendMessage', 'editMessageText'].includes(call.method))
+    .map(call => call.payload.text);
+}
+
+// First line of a catalogue text, placeholders cut off
+function heading(key) {
+  return en[key].split('\n')[0].split('{')[0];
+}
+
+describe('main menu', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createBotHarness({ env: { LOG_LEVEL: 'error' } });
+    await harness.sendMessage('/start', { user: USER });
+  });
+
+  afterEach(() => harness.close());
+
+  it('/start sends the menu with every main button', () => {
+    const menu = harness.calls.findLast(call => call.method === 'sendMessage').payload;
+    assert.match(menu.text, /^🎉 Welcome, Tester!/);
+    for (const data of ['menu_checkin', 'menu_profile', 'menu_quests', 'menu_exclusive', 'menu_status']) {
+      assert.ok(buttonData(menu).includes(data), `missing ${data}`);
+    }
+  });
+
+  it('menu_checkin submits the check-in and shows the reward', async () => {
+    const result = await harness.press('menu_checkin', { user: USER });
+    assert.ok(result.lastText().startsWith(heading('checkin.success')));
+    assert.match(result.lastText(), /Reward: \+10 PACT/);
+    assert.equal(completions(harness).length, 1);
+  });
+
+  it('menu_checkin shows the countdown when already checked in', async () => {
+    await harness.press('menu_checkin', { user: USER });
+    const result = await harness.press('menu_checkin', { user: USER });
+    assert.ok(result.lastText().startsWith(heading('checkin.already_done')));
+    assert.equal(completions(harness).length, 1);
+  });
+
+  it('menu_profile shows balances and streak', async () => {
+    await harness.press('menu_checkin', { user: USER });
+    const result = await harness.press('menu_profile', { user: USER });
+    assert.ok(result.lastText().startsWith(heading('profile.text')));
+    assert.match(result.lastText(), /💰 PACT: 10/);
+    assert.match(result.lastText(), /🔥 Streak: 1 weeks in a row/);
+  });
+
+  it('menu_quests lists the rule groups with quest buttons', async () => {
+    const result = await harness.press('menu_quests', { user: USER });
+    assert.ok(result.lastText().startsWith('🎯 Available Quests (1/1)'));
+    assert.match(result.lastText(), /Main Quests/);
+    assert.ok(buttonData(result.lastEdit()).some(data => data.startsWith('quest_')));
+  });
+
+  it('menu_exclusive lists special rules', async () => {
+    const result = await harness.press('menu_exclusive', { user: USER });
+    assert.ok(result.lastText().startsWith('⭐ Exclusive Access (page 1)'));
+    assert.match(result.lastText(), /Special Access Rule/);
+  });
+
+  it('menu_status shows the check-in status', async () => {
+    await harness.press('menu_checkin', { user: USER });
+    const result = await harness.press('menu_status', { user: USER });
+    assert.ok(result.lastText().startsWith(heading('status.text')));
+    assert.match(result.lastText(), /📍 Status: completed/);
+  });
+
+  it('back_to_menu edits the message back into the menu', async () => {
+    await harness.press('menu_status', { user: USER });
+    const result = await harness.press('back_to_menu', { user: USER });
+    assert.equal(result.lastText(), en['menu.title']);
+    assert.ok(buttonData(result.lastEdit()).includes('menu_checkin'));
+  });
+});
+
+describe('main menu error paths', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createBotHarness({ env: { LOG_LEVEL: 'error' } });
+    await harness.sendMessage('/start', { user: USER });
+  });
+
+  afterEach(() => harness.close());
+
+  it('menu_checkin reports an unavailable status on API 500', async () => {
+    harness.mock.failNext('/loyalty/rules/status', { status: 500 });
+    const result = await harness.press('menu_checkin', { user: USER });
+    assert.equal(result.lastText(), en['checkin.status_unavailable']);
+    assert.deepEqual(buttonData(result.lastEdit()), ['menu_checkin', 'back_to_menu']);
+  });
+
+  it('menu_checkin reports a failed submit on API 500', async () => {
+    harness.mock.failNext(`/loyalty/rules/${CHECKIN_RULE_ID}/complete`, { method: 'POST', status: 500 });
+    const result = await harness.press('menu_checkin', { user: USER });
+    assert.ok(result.lastText().startsWith(heading('checkin.failed')));
+    assert.match(result.lastText(), /HTTP 500/);
+  });
+
+  it('menu_checkin shows "already done" on 409', async () => {
+    harness.mock.failNext(`/loyalty/rules/${CHECKIN_RULE_ID}/complete`, { method: 'POST', status: 409 });
+    const result = await harness.press('menu_checkin', { user: USER });
+    assert.equal(result.lastText(), en['checkin.conflict']);
+  });
+
+  it('menu_profile shows the failure view on API 500', async () => {
+    harness.mock.failNext('/loyalty/transaction_entries', { status: 500, times: Infinity });
+    const result = await harness.press('menu_profile', { user: USER });
+    assert.equal(result.lastText(), en['profile.failed']);
+  });
+
+  it('menu_status shows the failure view on API 500', async () => {
+    harness.mock.failNext('/loyalty/rules/status', { status: 500 });
+    const result = await harness.press('menu_status', { user: USER });
+    assert.equal(result.lastText(), en['status.failed']);
+  });
+
+  it('menu_quests shows no quests when rule groups fail', async () => {
+    harness.mock.failNext('/loyalty/rule_groups', { status: 500 });
+    const result = await harness.press('menu_quests', { user: USER });
+    assert.match(result.lastText(), new RegExp(en['quests.empty']));
+  });
+
+  it('menu_exclusive shows no special rules when they fail', async () => {
+    harness.mock.failNext('/loyalty/rules', { status: 500 });
+    const result = await harness.press('menu_exclusive', { user: USER });
+    assert.match(result.lastText(), new RegExp(en['exclusive.empty']));
+  });
+});
+
+describe('main menu without a session', () => {
+  let harness;
+
+  beforeEach(async () => {
+    // No shared identity and nothing linked: every account screen needs /link first
+    harness = await createBotHarness({ env: { LOG_LEVEL: 'error', ALLOW_SHARED_IDENTITY: 'false' } });
+  });
+
+  afterEach(() => harness.close());
+
+  for (const data of ['menu_checkin', 'menu_profile', 'menu_quests', 'menu_status']) {
+    it(`${data} asks for /start`, async () => {
+      const result = await harness.press(data, { user: USER });
+      assert.equal(result.lastText(), en['common.session_invalid']);
+      assert.equal(completions(harness).length, 0);
+    });
+  }
+
+  it('/start explains how to link a wallet', async () => {
+    const result = await harness.sendMessage('/start', { user: USER });
+    assert.equal(result.lastText(), en['start.no_session']);
+  });
+});
+
+// One check-in per PactSwap account at a time, whoever starts it
+describe('check-in lock', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createBotHarness({ env: { LOG_LEVEL: 'error' } });
+    await harness.sendMessage('/start', { user: USER });
+  });
+
+  afterEach(() => harness.close());
+
+  it('concurrent /checkin commands submit once', async () => {
+    await Promise.all([1, 2, 3].map(() => harness.sendMessage('/checkin', { user: USER })));
+    assert.equal(completions(harness).length, 1);
+    assert.ok(shownTexts(harness).includes(en['throttle.busy']));
+  });
+
+  it('/checkin while the check-in button is running is answered as busy', async () => {
+    await Promise.all([
+      harness.press('menu_checkin', { user: USER }),
+      harness.sendMessage('/checkin', { user: USER }),
+    ]);
+    assert.equal(completions(harness).length, 1);
+    // Whichever came second: an edited button message or a reply
+    assert.ok(shownTexts(harness).includes(en['throttle.busy']));
+  });
+
+  it('users sharing one PactSwap account check in once', async () => {
+    await harness.sendMessage('/start', { user: OTHER_USER });
+    await Promise.all([
+      harness.press('menu_checkin', { user: USER }),
+      harness.press('menu_checkin', { user: OTHER_USER }),
+    ]);
+    assert.equal(completions(harness).length, 1);
+    assert.ok(shownTexts(harness).includes(en['throttle.busy']));
+  });
+
+  it('a tap during an auto check-in run does not submit again', async () => {
+    harness.app.updateUserSettings(USER.id, { autoCheckIn: { enabled: true, windowStart: 0, windowEnd: 24 } });
+    const [outcomes] = await Promise.all([
+      harness.app.autoCheckInScheduler.runOnce(),
+      harness.press('menu_checkin', { user: USER }),
+    ]);
+    assert.equal(completions(harness).length, 1);
+    // Whichever came second backed off
+    assert.ok(outcomes[0][1] === 'locked' || shownTexts(harness).includes(en['throttle.busy']));
+  });
+});
@@ -0,0 +1,59 @@
+// PactSwapClient retry behaviour against a scripted transport.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PactSwapClient } from '../src/pactswap/client.js';
+import { createRetryPolicy } from '../src/utils/retryLogic.js';
+import { logger } from '../src/utils/logger.js';
+
+logger.configure({ level: 'error' });
+
+// Answers (or throws) the scripted outcomes in order, then 200
+function scriptedTransport(outcomes) {
+  const calls = [];
+  return {
+    calls,
+    async request(config) {
+      calls.push(config);
+      const outcome = outcomes.shift();
+      if (outcome instanceof Error) throw outcome;
+      return { status: outcome ?? 200, data: { data: {} }, headers: {} };
+    },
+  };
+}
+
+function clientWith(transport) {
+  return new PactSwapClient({
+    websiteId: 'w',
+    organizationId: 'o',
+    transport,
+    retryPolicy: createRetryPolicy({ maxAttempts: 3, baseDelayMs: 1 }),
+    breaker: null,
+  });
+}
+
+function connectionError(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+describe('PactSwapClient retries', () => {
+  it('retries GET requests on 5xx', async () => {
+    const transport = scriptedTransport([503, 500]);
+    await clientWith(transport).getCheckInStatus('user');
+    assert.equal(transport.calls.length, 3);
+  });
+
+  for (const outcome of [500, 429, connectionError('ECONNRESET'), connectionError('ECONNABORTED')]) {
+    it(`sends the completion POST once on ${outcome.code || outcome}`, async () => {
+      const transport = scriptedTransport([outcome]);
+      await assert.rejects(clientWith(transport).completeRule('rule'));
+      assert.equal(transport.calls.length, 1);
+    });
+  }
+
+  it('retries the completion POST when the connection was refused', async () => {
+    const transport = scriptedTransport([connectionError('ECONNREFUSED')]);
+    await clientWith(transport).completeRule('rule');
+    assert.equal(transport.calls.length, 2);
+  });
+});
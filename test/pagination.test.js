@@ -0,0 +1,42 @@
+// Offset paging helpers.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { walkPages, fetchAllPages } from '../src/utils/pagination.js';
+
+// Endpoint with `total` numbered items
+function pagedEndpoint(total) {
+  const calls = [];
+  const fetchPage = async ({ offset, limit }) => {
+    calls.push(offset);
+    const items = Array.from({ length: Math.max(0, Math.min(limit, total - offset)) }, (_, index) => offset + index);
+    return { items, hasNextPage: offset + limit < total };
+  };
+  return { calls, fetchPage };
+}
+
+describe('walkPages', () => {
+  it('walks every page of a short list', async () => {
+    const { calls, fetchPage } = pagedEndpoint(25);
+    const walk = await walkPages(fetchPage, { limit: 10 });
+    assert.equal(walk.items.length, 25);
+    assert.equal(walk.truncated, false);
+    assert.deepEqual(calls, [0, 10, 20]);
+  });
+
+  it('reports truncation when maxPages is reached with pages left', async () => {
+    const { fetchPage } = pagedEndpoint(35);
+    const walk = await walkPages(fetchPage, { limit: 10, maxPages: 3 });
+    assert.deepEqual(walk, { items: Array.from({ length: 30 }, (_, index) => index), truncated: true });
+  });
+
+  it('is not truncated when the last page ends exactly at maxPages', async () => {
+    const { fetchPage } = pagedEndpoint(30);
+    assert.equal((await walkPages(fetchPage, { limit: 10, maxPages: 3 })).truncated, false);
+  });
+
+  it('fetchAllPages returns the items only', async () => {
+    const { fetchPage } = pagedEndpoint(5);
+    assert.deepEqual(await fetchAllPages(fetchPage, { limit: 2 }), [0, 1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,140 @@
+// FileStore: debounced saves, merging writes of several processes, lock file.
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileStore } from '../src/storage/store.js';
+import { createSessionRepository } from '../src/storage/sessions.js';
+import { logger } from '../src/utils/logger.js';
+
+logger.configure({ level: 'error' });
+
+const readJson = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('FileStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+    filePath = path.join(dir, 'store.json');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  async function open(options) {
+    return new FileStore(filePath, options).load();
+  }
+
+  it('debounces writes into one save after saveDelayMs', async () => {
+    const store = await open({ saveDelayMs: 30 });
+    store.set('settings', '1', { language: 'en' });
+    store.set('settings', '2', { language: 'id' });
+    assert.equal(fs.existsSync(filePath), false);
+
+    await sleep(80);
+    assert.deepEqual(readJson(filePath), { settings: { 1: { language: 'en' }, 2: { language: 'id' } } });
+  });
+
+  it('keeps the keys written by two instances sharing one file', async () => {
+    const first = await open();
+    const second = await open();
+    first.set('sessions', 'a', { pactswapUserId: 'A' });
+    second.set('sessions', 'b', { pactswapUserId: 'B' });
+    second.set('settings', 'b', { timezone: 'UTC' });
+
+    await first.flush();
+    await second.flush();
+
+    const data = readJson(filePath);
+    assert.deepEqual(Object.keys(data.sessions).sort(), ['a', 'b']);
+    assert.deepEqual(data.settings, { b: { timezone: 'UTC' } });
+    // The second flush also picked up the first instance's key
+    assert.deepEqual(second.get('sessions', 'a'), { pactswapUserId: 'A' });
+  });
+
+  it('merges deletes and clears without dropping the other instance\'s keys', async () => {
+    const first = await open();
+    first.set('jobs', 'a', { n: 1 });
+    first.set('jobs', 'b', { n: 2 });
+    first.set('cache', 'x', 1);
+    await first.flush();
+
+    const second = await open();
+    first.set('jobs', 'c', { n: 3 });
+    await first.flush();
+    second.delete('jobs', 'a');
+    second.clear('cache');
+    await second.flush();
+
+    const data = readJson(filePath);
+    assert.deepEqual(data.jobs, { b: { n: 2 }, c: { n: 3 } });
+    assert.equal(data.cache, undefined);
+  });
+
+  it('reload() adopts other writes while unflushed local changes win', async () => {
+    const first = await open();
+    const second = await open();
+    second.set('jobs', 'a', { owner: 'second' });
+    second.set('jobs', 'b', { owner: 'second' });
+    await second.flush();
+
+    first.set('jobs', 'a', { owner: 'first' });
+    await first.reload();
+
+    assert.deepEqual(first.get('jobs', 'a'), { owner: 'first' });
+    assert.deepEqual(first.get('jobs', 'b'), { owner: 'second' });
+  });
+
+  it('waits for a held lock file and writes once it is released', async () => {
+    const store = await open();
+    fs.writeFileSync(`${filePath}.lock`, '');
+    store.set('settings', '1', { language: 'en' });
+
+    const flushed = store.flush();
+    await sleep(60);
+    assert.equal(fs.existsSync(filePath), false);
+
+    fs.rmSync(`${filePath}.lock`);
+    await flushed;
+    assert.deepEqual(readJson(filePath).settings, { 1: { language: 'en' } });
+  });
+
+  it('removes a stale lock file left by a crashed process', async () => {
+    const store = await open();
+    const lockPath = `${filePath}.lock`;
+    fs.writeFileSync(lockPath, '');
+    const longAgo = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(lockPath, longAgo, longAgo);
+
+    store.set('settings', '1', { language: 'en' });
+    await store.flush();
+
+    assert.deepEqual(readJson(filePath).settings, { 1: { language: 'en' } });
+    assert.equal(fs.existsSync(lockPath), false);
+  });
+
+  it('writes the file readable by its owner only', { skip: process.platform === 'win32' }, async () => {
+    const store = await open();
+    store.set('settings', '1', {});
+    await store.flush();
+    assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+  });
+
+  it('drops PactSwap tokens saved by older versions', async () => {
+    fs.writeFileSync(filePath, JSON.stringify({
+      meta: { globalAuthToken: { sessionToken: 'secret' } },
+      sessions: { 1: { pactswapUserId: 'A', sessionToken: 'secret' } },
+    }));
+    const store = await open();
+    const sessions = createSessionRepository(store);
+
+    assert.equal(sessions.forgetStoredCredentials(), 2);
+    await store.flush();
+    assert.doesNotMatch(fs.readFileSync(filePath, 'utf8'), /secret/);
+    assert.equal(sessions.getSession(1).pactswapUserId, 'A');
+  });
+});
@@ -0,0 +1,139 @@
+// Check-in streaks in the rule's cadence: period boundaries, duplicate
+// timestamps and milestone badges.
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStreak, createStreakService, cadenceOf } from '../src/checkin/streaks.js';
+import { MemoryStore } from '../src/storage/store.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+const START = Date.parse('2026-01-05T09:00:00Z');
+const USER_ID = '8da036a6-f24e-44f1-9609-62a77a3224ba';
+const RULE_ID = '6a796160-bb9e-45f8-85a6-90747d44423e';
+
+// One check-in per period, `count` periods in a row
+function everyPeriod(count, periodMs, from = START) {
+  return Array.from({ length: count }, (_, i) => from + i * periodMs);
+}
+
+describe('computeStreak', () => {
+  it('counts weekly check-ins in a row', () => {
+    const times = everyPeriod(4, WEEK);
+    assert.deepEqual(computeStreak(times, WEEK, times.at(-1) + DAY), { current: 4, best: 4, lastCheckInAt: times.at(-1) });
+  });
+
+  it('keeps the streak up to exactly two periods between check-ins', () => {
+    const times = [START, START + 2 * WEEK];
+    assert.equal(computeStreak(times, WEEK, START + 2 * WEEK).current, 2);
+  });
+
+  it('breaks the streak one millisecond past two periods', () => {
+    const times = [START, START + 2 * WEEK + 1];
+    const streak = computeStreak(times, WEEK, START + 2 * WEEK + 1);
+    assert.equal(streak.current, 1);
+    assert.equal(streak.best, 1);
+  });
+
+  it('drops the current streak (not the best) once the next window closed', () => {
+    const times = everyPeriod(3, DAY);
+    const last = times.at(-1);
+    assert.equal(computeStreak(times, DAY, last + 2 * DAY).current, 3);
+    assert.deepEqual(computeStreak(times, DAY, last + 2 * DAY + 1), { current: 0, best: 3, lastCheckInAt: last });
+  });
+
+  it('remembers the best run after a break', () => {
+    const times = [...everyPeriod(3, DAY), ...everyPeriod(2, DAY, START + 10 * DAY)];
+    const streak = computeStreak(times, DAY, START + 11 * DAY);
+    assert.equal(streak.current, 2);
+    assert.equal(streak.best, 3);
+  });
+
+  it('counts timestamps less than half a period apart as one check-in', () => {
+    // Transaction entry plus the bot's own submit log, minutes apart; out of order
+    const times = [START + WEEK + 5 * 60 * 1000, START, START + WEEK, START + 3 * DAY + 11 * HOUR];
+    assert.equal(computeStreak(times, WEEK, START + WEEK).current, 2);
+  });
+
+  it('counts check-ins half a period apart separately', () => {
+    assert.equal(computeStreak([START, START + 12 * HOUR], DAY, START + 12 * HOUR).current, 2);
+  });
+
+  it('has no streak for one-time rules or an empty log', () => {
+    assert.deepEqual(computeStreak([START], null), { current: 0, best: 0, lastCheckInAt: null });
+    assert.deepEqual(computeStreak([], WEEK, START), { current: 0, best: 0, lastCheckInAt: null });
+  });
+});
+
+describe('cadenceOf', () => {
+  it('names daily and weekly periods', () => {
+    assert.equal(cadenceOf(DAY), 'daily');
+    assert.equal(cadenceOf(WEEK), 'weekly');
+    assert.equal(cadenceOf(3 * DAY), 'other');
+  });
+});
+
+describe('createStreakService', () => {
+  let store;
+  let streaks;
+
+  function entry(time, extra = {}) {
+    return { id: `entry-${time}`, loyaltyRuleId: RULE_ID, direction: 'credit', createdAt: new Date(time).toISOString(), ...extra };
+  }
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    streaks = createStreakService({ store, ruleId: RULE_ID });
+  });
+
+  it('merges entries for the rule with the bot\'s own submits', () => {
+    streaks.record(USER_ID, {
+      entries: [
+        entry(START),
+        entry(START + DAY, { loyaltyRuleId: 'another-rule' }),
+        entry(START + 2 * DAY, { direction: 'debit' }),
+      ],
+      complete: true,
+    });
+    streaks.record(USER_ID, { checkedInAt: new Date(START + DAY) });
+
+    const summary = streaks.summary(USER_ID, { periodMs: DAY, now: new Date(START + DAY) });
+    assert.equal(summary.current, 2);
+    assert.equal(summary.cadence, 'daily');
+    assert.ok(streaks.isSynced(USER_ID));
+  });
+
+  it('is synced only after a complete history', () => {
+    streaks.record(USER_ID, { entries: [entry(START)] });
+    assert.equal(streaks.isSynced(USER_ID), false);
+    streaks.record(USER_ID, { entries: [], complete: true });
+    assert.equal(streaks.isSynced(USER_ID), true);
+  });
+
+  it('awards each badge once when its milestone is reached', () => {
+    const times = everyPeriod(7, DAY);
+    streaks.record(USER_ID, { entries: times.slice(0, 6).map(time => entry(time)) });
+    assert.deepEqual(streaks.summary(USER_ID, { periodMs: DAY, now: new Date(times[5]) }).newBadges, []);
+
+    streaks.record(USER_ID, { checkedInAt: new Date(times[6]) });
+    const reached = streaks.summary(USER_ID, { periodMs: DAY, now: new Date(times[6]) });
+    assert.deepEqual(reached.newBadges, ['streak_7']);
+    assert.deepEqual(reached.badges, ['streak_7']);
+
+    const again = streaks.summary(USER_ID, { periodMs: DAY, now: new Date(times[6] + HOUR) });
+    assert.deepEqual(again.newBadges, []);
+    assert.deepEqual(again.badges, ['streak_7']);
+  });
+
+  it('keeps badges and the best streak after the streak breaks', () => {
+    const times = everyPeriod(30, DAY);
+    streaks.record(USER_ID, { entries: times.map(time => entry(time)) });
+    assert.deepEqual(streaks.summary(USER_ID, { periodMs: DAY, now: new Date(times.at(-1)) }).newBadges, ['streak_7', 'gold']);
+
+    const later = streaks.summary(USER_ID, { periodMs: DAY, now: new Date(times.at(-1) + 10 * DAY) });
+    assert.equal(later.current, 0);
+    assert.equal(later.best, 30);
+    assert.deepEqual(later.badges, ['streak_7', 'gold']);
+  });
+});
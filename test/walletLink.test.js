@@ -0,0 +1,138 @@
+// /link + /verify: challenge handling in front of PactSwap's SIWE exchange.
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { createWalletLinker, LinkError } from '../src/auth/walletLink.js';
+import { buildSiweMessage, isSignedBy } from '../src/auth/siwe.js';
+import { MemoryStore } from '../src/storage/store.js';
+
+const TELEGRAM_USER_ID = 700000001;
+const ACCOUNT_ID = '8da036a6-f24e-44f1-9609-62a77a3224ba';
+
+// Stands in for createSiweLogin(): one-use nonces, `account()` decides who PactSwap signs in
+function fakeLogin({ account = message => ({ id: ACCOUNT_ID, walletAddress: message.split('\n')[1] }) } = {}) {
+  const nonces = new Set();
+  let issued = 0;
+  return {
+    exchanges: 0,
+    async prepare(address, { expirationTime } = {}) {
+      const nonce = `nonce${++issued}abcdef`;
+      nonces.add(nonce);
+      return buildSiweMessage({ domain: 'hub.pactswap.io', address, uri: 'https://hub.pactswap.io', nonce, expirationTime });
+    },
+    async exchange(message) {
+      this.exchanges++;
+      const nonce = /Nonce: (\w+)/.exec(message)[1];
+      if (!nonces.delete(nonce)) {
+        throw Object.assign(new Error('Request failed with status code 400'), { response: { status: 400 } });
+      }
+      return { cookie: 'pactswap_session=abc', sessionToken: null, expires: null, user: account(message) };
+    },
+  };
+}
+
+async function rejectsWith(promise, code) {
+  await assert.rejects(promise, error => error instanceof LinkError && error.code === code);
+}
+
+describe('isSignedBy', () => {
+  const wallet = ethers.Wallet.createRandom();
+
+  it('accepts a signature from the address', async () => {
+    const signature = await wallet.signMessage('hello');
+    assert.equal(isSignedBy('hello', signature, wallet.address.toLowerCase()), true);
+  });
+
+  it('rejects another signer, another message and garbage', async () => {
+    const signature = await wallet.signMessage('hello');
+    assert.equal(isSignedBy('hello', signature, ethers.Wallet.createRandom().address), false);
+    assert.equal(isSignedBy('hello!', signature, wallet.address), false);
+    assert.equal(isSignedBy('hello', '0x1234', wallet.address), false);
+  });
+});
+
+describe('createWalletLinker', () => {
+  let store;
+  let login;
+  let linker;
+  const wallet = ethers.Wallet.createRandom();
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    login = fakeLogin();
+    linker = createWalletLinker({ store, login });
+  });
+
+  async function signChallenge(signer = wallet) {
+    const challenge = await linker.createChallenge(TELEGRAM_USER_ID, wallet.address);
+    return signer.signMessage(challenge.message);
+  }
+
+  it('rejects an invalid wallet address', async () => {
+    await rejectsWith(linker.createChallenge(TELEGRAM_USER_ID, '0x123'), 'INVALID_ADDRESS');
+  });
+
+  it('returns the account PactSwap signed in plus its session', async () => {
+    const { identity, credentials } = await linker.verifyChallenge(TELEGRAM_USER_ID, await signChallenge());
+    assert.equal(identity.walletAddress, wallet.address);
+    assert.equal(identity.pactswapUserId, ACCOUNT_ID);
+    assert.equal(credentials.cookie, 'pactswap_session=abc');
+  });
+
+  it('rejects a signature from another wallet before asking PactSwap', async () => {
+    const signature = await signChallenge(ethers.Wallet.createRandom());
+    await rejectsWith(linker.verifyChallenge(TELEGRAM_USER_ID, signature), 'BAD_SIGNATURE');
+    assert.equal(login.exchanges, 0);
+  });
+
+  it('rejects an expired challenge and drops it', async () => {
+    const signature = await signChallenge();
+    const key = String(TELEGRAM_USER_ID);
+    store.set('linkChallenges', key, { ...store.get('linkChallenges', key), expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    await rejectsWith(linker.verifyChallenge(TELEGRAM_USER_ID, signature), 'EXPIRED');
+    await rejectsWith(linker.verifyChallenge(TELEGRAM_USER_ID, signature), 'NO_CHALLENGE');
+  });
+
+  it('does not accept the same signature twice', async () => {
+    const signature = await signChallenge();
+    await linker.verifyChallenge(TELEGRAM_USER_ID, signature);
+    await rejectsWith(linker.verifyChallenge(TELEGRAM_USER_ID, signature), 'NO_CHALLENGE');
+  });
+
+  it('reports a nonce PactSwap refuses as rejected', async () => {
+    const challenge = await linker.createChallenge(TELEGRAM_USER_ID, wallet.address);
+    const signature = await wallet.signMessage(challenge.message);
+    // Used up elsewhere (e.g. the message was also signed in on the website)
+    await login.exchange(challenge.message, signature);
+
+    await rejectsWith(linker.verifyChallenge(TELEGRAM_USER_ID, signature), 'REJECTED');
+    await rejectsWith(linker.verifyChallenge(TELEGRAM_USER_ID, signature), 'NO_CHALLENGE');
+  });
+
+  it('keeps the challenge when PactSwap is unreachable', async () => {
+    const signature = await signChallenge();
+    const exchange = login.exchange;
+    login.exchange = async () => {
+      throw new Error('connect ECONNREFUSED');
+    };
+    await assert.rejects(linker.verifyChallenge(TELEGRAM_USER_ID, signature), /ECONNREFUSED/);
+
+    login.exchange = exchange;
+    const { identity } = await linker.verifyChallenge(TELEGRAM_USER_ID, signature);
+    assert.equal(identity.pactswapUserId, ACCOUNT_ID);
+  });
+
+  it('rejects an account whose wallet does not match', async () => {
+    login = fakeLogin({ account: () => ({ id: ACCOUNT_ID, walletAddress: ethers.Wallet.createRandom().address }) });
+    linker = createWalletLinker({ store, login });
+    await rejectsWith(linker.verifyChallenge(TELEGRAM_USER_ID, await signChallenge()), 'WALLET_MISMATCH');
+  });
+
+  it('rejects a sign-in that reports no account', async () => {
+    login = fakeLogin({ account: () => null });
+    linker = createWalletLinker({ store, login });
+    await rejectsWith(linker.verifyChallenge(TELEGRAM_USER_ID, await signChallenge()), 'UNKNOWN_ACCOUNT');
+  });
+});